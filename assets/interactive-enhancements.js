@@ -61,6 +61,11 @@
             };
         },
 
+        // Right-to-left page; gt.js sets dir for RTL languages and announces changes with 'gt:direction'
+        isRtl: function() {
+            return document.documentElement.getAttribute('dir') === 'rtl';
+        },
+
         // Check if element is in viewport
         isInViewport: function(element) {
             const rect = element.getBoundingClientRect();
@@ -72,41 +77,1170 @@
             );
         },
 
-        // Smooth scroll to element
-        smoothScrollTo: function(element, offset = CONFIG.scrollOffset) {
-            if (!element) return;
-            
-            const elementPosition = element.offsetTop;
-            const offsetPosition = elementPosition - offset;
+        // Smooth scroll to element
+        smoothScrollTo: function(element, offset = CONFIG.scrollOffset) {
+            if (!element) return;
+            
+            const elementPosition = element.offsetTop;
+            const offsetPosition = elementPosition - offset;
+
+            window.scrollTo({
+                top: offsetPosition,
+                behavior: 'smooth'
+            });
+        },
+
+        // Add loading animation
+        addLoadingState: function(element, text = 'Loading...') {
+            if (!element) return;
+            
+            const originalText = element.textContent;
+            const originalHTML = element.innerHTML;
+            
+            element.innerHTML = `
+                <span class="loading loading-spinner loading-sm"></span>
+                ${text}
+            `;
+            element.disabled = true;
+            
+            return {
+                restore: function() {
+                    element.innerHTML = originalHTML;
+                    element.disabled = false;
+                }
+            };
+        },
+
+        // Show a short-lived notice in the top-right corner
+        showNotice: function(message, type = 'success', duration = 6000) {
+            const notice = document.createElement('div');
+            notice.className = `alert alert-${type} fixed top-4 right-4 z-50 max-w-sm shadow-lg`;
+            notice.setAttribute('role', 'status');
+            notice.innerHTML = `
+                <span class="iconify" data-icon="${type === 'success' ? 'heroicons:check-circle' : 'heroicons:information-circle'}" data-width="20"></span>
+                <span></span>
+            `;
+            notice.lastElementChild.textContent = message;
+
+            document.body.appendChild(notice);
+
+            setTimeout(() => {
+                notice.remove();
+            }, duration);
+        }
+    };
+
+    // Inquiry Service - posts form data to the local API
+    const InquiryService = {
+        endpoint: '/api/inquiries',
+        statusEndpoint: '/api/inquiries/status',
+        newsletterEndpoint: '/api/newsletter',
+        privacyEndpoint: '/api/privacy/requests',
+        privacyConfirmEndpoint: '/api/privacy/confirm',
+        lastInquiryKey: 'agrotech:lastInquiry',
+        // Privacy policy version currently shown next to the consent checkboxes
+        policyVersion: '2025-01',
+        // Hidden field that only bots fill in; the server drops anything that arrives with it set
+        honeypotField: 'website',
+        pageLoadedAt: Date.now(),
+        formStarts: new WeakMap(),
+
+        init: function() {
+            // Resetting a form (including each time the quote wizard opens) starts the fill-time clock again
+            document.addEventListener('reset', event => {
+                this.formStarts.set(event.target, Date.now());
+            }, true);
+        },
+
+        // Honeypot value and time spent on the form, checked by the server's spam guard
+        antiSpam: function(form) {
+            const honeypot = form.elements[this.honeypotField];
+            return {
+                honeypot: honeypot ? honeypot.value : '',
+                elapsedMs: Date.now() - (this.formStarts.get(form) || this.pageLoadedAt)
+            };
+        },
+
+        // Policy version and form behind a consent, for the server's consent ledger.
+        // Forms mark the element showing the policy with data-policy-version.
+        consentDetails: function(form) {
+            const marker = form.matches('[data-policy-version]') ? form : form.querySelector('[data-policy-version]');
+            if (!marker) return null;
+
+            return {
+                policyVersion: marker.dataset.policyVersion,
+                form: form.id,
+                page: document.title.split(' - ')[0]
+            };
+        },
+
+        // POST a JSON payload and resolve with the parsed response
+        request: function(url, payload) {
+            return fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(payload)
+            }).catch(() => {
+                throw this.offlineError();
+            }).then(response => {
+                return response.json().catch(() => ({})).then(data => {
+                    if (!response.ok) {
+                        const error = new Error(data.error || 'Your request could not be completed. Please try again.');
+                        error.status = response.status;
+                        error.fields = data.fields || null;
+                        throw error;
+                    }
+                    return data;
+                });
+            });
+        },
+
+        offlineError: function() {
+            const error = new Error('We could not reach our server. Please check your connection and try again.');
+            error.offline = true;
+            return error;
+        },
+
+        // Send a payload on behalf of a form, announcing progress with events on it.
+        // Without a connection, payloads of a queueable kind are queued and the result is { queued: true }.
+        send: function(form, url, payload, kind) {
+            form.dispatchEvent(new CustomEvent('inquiry:submitting'));
+
+            const consent = this.consentDetails(form);
+            payload = Object.assign({ antiSpam: this.antiSpam(form) }, consent ? { consent } : {}, payload);
+
+            const attempt = navigator.onLine === false ?
+                Promise.reject(this.offlineError()) :
+                this.request(url, payload);
+
+            return attempt.catch(error => {
+                if (!error.offline || !kind) throw error;
+                return OfflineQueue.enqueue({ url, payload, kind }).then(() => ({ queued: true }), () => {
+                    throw error;
+                });
+            }).then(result => {
+                form.dispatchEvent(new CustomEvent('inquiry:settled', { detail: { result } }));
+                return result;
+            }, error => {
+                form.dispatchEvent(new CustomEvent('inquiry:settled', { detail: { error } }));
+                throw error;
+            });
+        },
+
+        // Site language the visitor is reading, so the acknowledgement email matches it
+        siteLanguage: function() {
+            return /^sr\b/i.test(document.documentElement.lang) ? 'sr' : 'en';
+        },
+
+        // Page the visitor came from (e.g. the product page behind a Contact inquiry), or null.
+        // Pages run inside the wrapper's iframe, so the wrapper's referrer is the one that counts.
+        referringPage: function() {
+            try {
+                const referrer = new URL(window.parent.document.referrer);
+                const current = window.parent.location;
+                if (referrer.origin !== current.origin || referrer.pathname === current.pathname) return null;
+
+                const fileName = decodeURIComponent(referrer.pathname.split('/').pop());
+                return fileName.replace(/\.html$/i, '') || null;
+            } catch (e) {
+                return null;
+            }
+        },
+
+        // Submit an inquiry (Contact form or quote wizard)
+        submit: function(form, payload) {
+            payload = Object.assign({ language: this.siteLanguage() }, payload);
+            if (!payload.sourcePage) {
+                const sourcePage = this.referringPage();
+                if (sourcePage) payload.sourcePage = sourcePage;
+            }
+
+            return this.send(form, this.endpoint, payload, 'inquiry').then(result => {
+                if (!result.queued) {
+                    this.rememberInquiry(result, payload);
+                }
+                return result;
+            });
+        },
+
+        // Subscribe an email address to the newsletter topics; the address is only
+        // activated once the confirmation link emailed to it has been opened
+        subscribe: function(form, email, topics) {
+            return this.send(form, this.newsletterEndpoint, { email, topics }, 'newsletter');
+        },
+
+        // Newsletter links carry a token: confirm, read or change topics, unsubscribe
+        confirmSubscription: function(token) {
+            return this.request(this.newsletterEndpoint + '/confirm', { token });
+        },
+
+        getSubscription: function(token) {
+            return this.request(this.newsletterEndpoint + '/preferences', { token });
+        },
+
+        updateTopics: function(token, topics) {
+            return this.request(this.newsletterEndpoint + '/preferences', { token, topics });
+        },
+
+        unsubscribe: function(token) {
+            return this.request(this.newsletterEndpoint + '/unsubscribe', { token });
+        },
+
+        // Keep the last submission so the confirmation page can show it
+        rememberInquiry: function(result, payload) {
+            const inquiry = Object.assign({}, payload, result);
+            // File contents are far too large for sessionStorage; names and sizes are enough for the summary
+            if (inquiry.attachments) {
+                inquiry.attachments = inquiry.attachments.map(file => ({ name: file.name, size: file.size }));
+            }
+
+            try {
+                sessionStorage.setItem(this.lastInquiryKey, JSON.stringify(inquiry));
+            } catch (e) {
+                // Storage can be unavailable (private mode); the confirmation page falls back to its default text
+            }
+        },
+
+        // Last submission made in this browser session, or null
+        getLastInquiry: function() {
+            try {
+                return JSON.parse(sessionStorage.getItem(this.lastInquiryKey));
+            } catch (e) {
+                return null;
+            }
+        },
+
+        // Look up the workflow status of an inquiry by reference and email
+        lookupStatus: function(reference, email) {
+            return this.request(this.statusEndpoint, { reference, email });
+        },
+
+        // Ask for an export or deletion of personal data; never queued, the emailed link has to work now
+        requestPrivacy: function(form, email, type) {
+            return this.send(form, this.privacyEndpoint, { email, type });
+        },
+
+        // Confirm a data request with the token from the emailed link
+        confirmPrivacy: function(token) {
+            return this.request(this.privacyConfirmEndpoint, { token });
+        }
+    };
+
+    window.InquiryService = InquiryService;
+
+    // Attachments - field photos and site plans for the Contact inquiryForm.
+    // Images are resized and re-compressed in the browser before upload; PDFs are sent as they are.
+    const Attachments = {
+        types: ['image/jpeg', 'image/png', 'image/webp', 'application/pdf'],
+        maxFiles: 5,
+        maxFileBytes: 5 * 1024 * 1024,
+        maxTotalBytes: 12 * 1024 * 1024,
+        // Originals straight from a phone camera are accepted as long as they shrink below maxFileBytes
+        maxSourceImageBytes: 25 * 1024 * 1024,
+        maxImageDimension: 2048,
+        imageQuality: 0.82,
+
+        formatSize: function(bytes) {
+            return bytes < 1024 * 1024 ?
+                Math.max(1, Math.round(bytes / 1024)) + ' KB' :
+                (bytes / 1024 / 1024).toFixed(1) + ' MB';
+        },
+
+        // Message explaining why a file cannot be attached, or null
+        check: function(file) {
+            if (!this.types.includes(file.type)) {
+                return `"${file.name}" is not a supported file type. Please attach JPG, PNG or WebP images or PDF documents.`;
+            }
+            if (file.type === 'application/pdf' && file.size > this.maxFileBytes) {
+                return `"${file.name}" is ${this.formatSize(file.size)}. PDF documents can be up to ${this.formatSize(this.maxFileBytes)}.`;
+            }
+            if (file.size > this.maxSourceImageBytes) {
+                return `"${file.name}" is ${this.formatSize(file.size)}. Images can be up to ${this.formatSize(this.maxSourceImageBytes)} before compression.`;
+            }
+            return null;
+        },
+
+        // Resolve with { name, type, size, data } ready to be sent with an inquiry
+        prepare: function(file) {
+            const ready = file.type === 'application/pdf' ? Promise.resolve(file) : this.compressImage(file);
+
+            return ready.then(blob => {
+                if (blob.size > this.maxFileBytes) {
+                    throw new Error(`"${file.name}" is still larger than ${this.formatSize(this.maxFileBytes)} after compression. Please attach a smaller file.`);
+                }
+
+                const name = blob.type === file.type ? file.name : file.name.replace(/\.[^.]+$/, '') + '.jpg';
+                return this.toBase64(blob).then(data => ({ name, type: blob.type, size: blob.size, data }));
+            });
+        },
+
+        compressImage: function(file) {
+            return this.loadImage(file).then(image => {
+                const scale = Math.min(1, this.maxImageDimension / Math.max(image.naturalWidth, image.naturalHeight));
+                const canvas = document.createElement('canvas');
+                canvas.width = Math.round(image.naturalWidth * scale);
+                canvas.height = Math.round(image.naturalHeight * scale);
+
+                // JPEG has no transparency; give transparent site plans a white background
+                const context = canvas.getContext('2d');
+                context.fillStyle = '#ffffff';
+                context.fillRect(0, 0, canvas.width, canvas.height);
+                context.drawImage(image, 0, 0, canvas.width, canvas.height);
+
+                return new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', this.imageQuality));
+            }).then(blob => {
+                if (!blob) {
+                    throw new Error(`"${file.name}" could not be read as an image.`);
+                }
+                // A small PNG site plan can be smaller than its JPEG version; keep whichever is smaller
+                return blob.size < file.size ? blob : file;
+            });
+        },
+
+        loadImage: function(file) {
+            return new Promise((resolve, reject) => {
+                const url = URL.createObjectURL(file);
+                const image = new Image();
+                image.onload = () => {
+                    URL.revokeObjectURL(url);
+                    resolve(image);
+                };
+                image.onerror = () => {
+                    URL.revokeObjectURL(url);
+                    reject(new Error(`"${file.name}" could not be read as an image.`));
+                };
+                image.src = url;
+            });
+        },
+
+        toBase64: function(blob) {
+            return new Promise((resolve, reject) => {
+                const reader = new FileReader();
+                reader.onload = () => resolve(reader.result.slice(reader.result.indexOf(',') + 1));
+                reader.onerror = () => reject(new Error('The file could not be read. Please try again.'));
+                reader.readAsDataURL(blob);
+            });
+        }
+    };
+
+    window.Attachments = Attachments;
+
+    // Offline Queue - keeps submissions in IndexedDB until the connection returns
+    const OfflineQueue = {
+        dbName: 'agrotech-offline',
+        storeName: 'submissions',
+        retryInterval: 30000,
+        retryTimer: null,
+        flushing: false,
+
+        init: function() {
+            window.addEventListener('online', () => this.flush());
+            this.updateIndicator();
+            this.flush();
+        },
+
+        openDb: function() {
+            if (this.dbPromise) return this.dbPromise;
+
+            this.dbPromise = new Promise((resolve, reject) => {
+                if (!window.indexedDB) {
+                    reject(new Error('IndexedDB is not available'));
+                    return;
+                }
+
+                const request = indexedDB.open(this.dbName, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(this.storeName, { keyPath: 'id', autoIncrement: true });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+
+            // Allow a later retry if opening failed
+            this.dbPromise.catch(() => {
+                this.dbPromise = null;
+            });
+            return this.dbPromise;
+        },
+
+        // Run fn(store) in a transaction and resolve with the value of the request it returns
+        withStore: function(mode, fn) {
+            return this.openDb().then(db => new Promise((resolve, reject) => {
+                const transaction = db.transaction(this.storeName, mode);
+                const request = fn(transaction.objectStore(this.storeName));
+                transaction.oncomplete = () => resolve(request && request.result);
+                transaction.onerror = () => reject(transaction.error);
+            }));
+        },
+
+        enqueue: function(item) {
+            return this.withStore('readwrite', store => store.add(Object.assign({ queuedAt: new Date().toISOString() }, item)))
+                .then(id => {
+                    this.updateIndicator();
+                    this.scheduleRetry();
+                    return id;
+                });
+        },
+
+        getAll: function() {
+            return this.withStore('readonly', store => store.getAll());
+        },
+
+        remove: function(id) {
+            return this.withStore('readwrite', store => store.delete(id));
+        },
+
+        scheduleRetry: function() {
+            if (this.retryTimer) return;
+            this.retryTimer = setTimeout(() => {
+                this.retryTimer = null;
+                this.flush();
+            }, this.retryInterval);
+        },
+
+        // Try to deliver everything in the queue, oldest first
+        flush: function() {
+            if (this.flushing || navigator.onLine === false) {
+                this.scheduleRetry();
+                return Promise.resolve();
+            }
+
+            // Only one tab at a time may deliver, otherwise items could be sent twice
+            const run = () => this.deliverAll();
+            this.flushing = true;
+            const flushed = navigator.locks ? navigator.locks.request('agrotech-offline-queue', run) : run();
+
+            return flushed.catch(() => {}).then(() => {
+                this.flushing = false;
+                this.updateIndicator();
+            });
+        },
+
+        deliverAll: function() {
+            return this.getAll().then(items => items.reduce((chain, item) => chain.then(() =>
+                InquiryService.request(item.url, item.payload).then(result => {
+                    return this.remove(item.id).then(() => this.notifyDelivered(item, result));
+                }, error => {
+                    // The server rejected it outright (4xx other than the spam guard's 429); retrying would not help
+                    if (error.status >= 400 && error.status < 500 && error.status !== 429) {
+                        return this.remove(item.id).then(() => this.notifyRejected(item, error));
+                    }
+                    // Still offline, rate limited or a server error, e.g. during a restart: try again later
+                    this.scheduleRetry();
+                    throw error;
+                })
+            ), Promise.resolve()));
+        },
+
+        notifyDelivered: function(item, result) {
+            if (item.kind === 'inquiry') {
+                InquiryService.rememberInquiry(result, item.payload);
+                Utils.showNotice(`Your queued inquiry "${item.payload.subject}" has been delivered. Reference: ${result.reference}`);
+            } else {
+                Utils.showNotice(`Your queued newsletter signup for ${item.payload.email} has been sent. Please check your inbox to confirm it.`);
+            }
+        },
+
+        notifyRejected: function(item, error) {
+            const what = item.kind === 'inquiry' ? `inquiry "${item.payload.subject}"` : 'newsletter subscription';
+            Utils.showNotice(`Your queued ${what} could not be delivered: ${error.message}`, 'error', 10000);
+        },
+
+        // Small badge in the bottom-left corner while anything is waiting to be sent
+        updateIndicator: function() {
+            this.getAll().then(items => {
+                let indicator = document.querySelector('.offline-queue-indicator');
+
+                if (!items.length) {
+                    if (indicator) indicator.remove();
+                    return;
+                }
+
+                if (!indicator) {
+                    indicator = document.createElement('div');
+                    indicator.className = 'offline-queue-indicator badge badge-warning gap-2 p-4 fixed bottom-6 left-6 z-50 shadow-lg';
+                    indicator.setAttribute('role', 'status');
+                    document.body.appendChild(indicator);
+                }
+                indicator.textContent = items.length === 1 ?
+                    '1 submission queued - it will be sent when you are back online' :
+                    `${items.length} submissions queued - they will be sent when you are back online`;
+            }).catch(() => {});
+        }
+    };
+
+    // Serbian Script - deterministic Latin <-> Cyrillic transliteration
+    // The Serbian catalog is written in Latin; Cyrillic is produced from it here.
+    // Left untouched: model codes and anything else containing digits (SP-1500), acronyms (GDPR, PDF),
+    // mixed-case names (AgroTech, WhatsApp), words with q/w/x/y, emails, URLs, the brand
+    // and unit symbols (kW, m³/h, and "40 ha", "24 V" after a number).
+    const SerbianScript = {
+        letters: {
+            a: 'а', b: 'б', c: 'ц', č: 'ч', ć: 'ћ', d: 'д', đ: 'ђ', e: 'е', f: 'ф', g: 'г',
+            h: 'х', i: 'и', j: 'ј', k: 'к', l: 'л', m: 'м', n: 'н', o: 'о', p: 'п', r: 'р',
+            s: 'с', š: 'ш', t: 'т', u: 'у', v: 'в', z: 'з', ž: 'ж'
+        },
+        digraphs: { lj: 'љ', nj: 'њ', dž: 'џ' },
+        // Words where n+j or d+ž meet across a prefix and stay two letters; | marks the split
+        // (nadživeti -> надживети, odžaliti -> оджалити, injekcija -> инјекција)
+        digraphExceptions: ['nad|živ', 'nad|žnj', 'nad|žanj', 'pod|žanr', 'pod|žel', 'od|žal', 'od|živ', 'in|jekc', 'kon|jug', 'kon|junk', 'van|jezi'],
+        protectedTerms: ['AgroTech Solutions'],
+        // Units only kept as symbols after a number, since several are also Serbian words
+        unitsAfterNumber: ['kWh', 'kWp', 'kW', 'MW', 'Wp', 'W', 'Ah', 'V', 'A', 'Hz', 'm³/h', 'm³', 'm²', 'm/s', 'mm', 'cm', 'km', 'm',
+            'ha', 'l/min', 'l/s', 'l', 'L', 'bar', 'psi', 'dB', 'kHz', 'kg', 't', '°C', 'MB', 'KB', 'GB'],
+        // Unit symbols that can never be a Serbian word
+        unitsAnywhere: ['kWh', 'kWp', 'kW', 'MW', 'kHz', 'Hz', 'm³/h', 'm³', 'm²', 'l/s', 'l/min', '°C', 'dB'],
+
+        toCyrillic: function(text) {
+            return String(text).split(this.protectedPattern()).map((chunk, index) =>
+                // split() with one capture group puts protected chunks at odd indexes
+                index % 2 ? chunk : chunk.replace(/[\p{L}\p{N}]+(?:-[\p{L}\p{N}]+)*/gu, word => this.convertWord(word))
+            ).join('');
+        },
+
+        toLatin: function(text) {
+            if (!this.reverse) {
+                this.reverse = {};
+                Object.keys(this.letters).forEach(latin => { this.reverse[this.letters[latin]] = latin; });
+                Object.keys(this.digraphs).forEach(latin => { this.reverse[this.digraphs[latin]] = latin; });
+            }
+
+            return String(text).replace(/[\u0400-\u04FF]/g, (char, offset, whole) => {
+                const latin = this.reverse[char.toLowerCase()];
+                if (!latin) return char;
+                if (char === char.toLowerCase()) return latin;
+
+                // Љ becomes LJ inside capitals (ЉУБАВ -> LJUBAV) and Lj otherwise (Љубав -> Ljubav)
+                const next = whole.charAt(offset + 1);
+                return latin.length > 1 && !(next && next === next.toUpperCase() && next !== next.toLowerCase()) ?
+                    latin.charAt(0).toUpperCase() + latin.slice(1) :
+                    latin.toUpperCase();
+            });
+        },
+
+        protectedPattern: function() {
+            if (!this.pattern) {
+                const escape = value => value.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+                const longestFirst = list => list.slice().sort((a, b) => b.length - a.length).map(escape).join('|');
+
+                this.pattern = new RegExp('(' + [
+                    // {name} placeholders, filled in by I18n.t after the lookup
+                    '\\{\\w+\\}',
+                    'https?:\\/\\/\\S+',
+                    '[^\\s@]+@[^\\s@]+\\.[^\\s@]+',
+                    longestFirst(this.protectedTerms),
+                    '\\d+(?:[.,]\\d+)*\\s?(?:' + longestFirst(this.unitsAfterNumber) + ')(?![\\p{L}\\p{N}])',
+                    '(?<![\\p{L}])(?:' + longestFirst(this.unitsAnywhere) + ')(?![\\p{L}])'
+                ].join('|') + ')', 'u');
+            }
+            return this.pattern;
+        },
+
+        isProtectedWord: function(word) {
+            return /\d/.test(word) ||
+                /[qwxy]/i.test(word) ||
+                /\p{Ll}\p{Lu}/u.test(word) ||
+                (word.replace(/[^\p{L}]/gu, '').length > 1 && word === word.toUpperCase());
+        },
+
+        convertWord: function(word) {
+            if (this.isProtectedWord(word)) return word;
+
+            // Mark prefix boundaries so those letter pairs are not read as digraphs
+            const lower = word.toLowerCase();
+            const splits = new Set();
+            this.digraphExceptions.forEach(exception => {
+                const stem = exception.replace('|', '');
+                for (let at = lower.indexOf(stem); at !== -1; at = lower.indexOf(stem, at + 1)) {
+                    splits.add(at + exception.indexOf('|'));
+                }
+            });
+
+            let result = '';
+            for (let i = 0; i < word.length; i++) {
+                const pair = word.substr(i, 2);
+                const digraph = !splits.has(i + 1) && this.digraphs[pair.toLowerCase()];
+                const latin = digraph ? pair : word.charAt(i);
+                const cyrillic = digraph || this.letters[latin.toLowerCase()];
+
+                if (!cyrillic) {
+                    result += latin;
+                } else {
+                    result += latin.charAt(0) === latin.charAt(0).toLowerCase() ? cyrillic : cyrillic.toUpperCase();
+                }
+                if (digraph) i++;
+            }
+            return result;
+        }
+    };
+
+    window.SerbianScript = SerbianScript;
+
+    // I18n - dictionary-based translation of the page text (English, Serbian, Chinese)
+    //
+    // Markup opts in per element:
+    //   <span data-i18n="nav.home">Home</span>                          text content
+    //   <input data-i18n-attr="placeholder:contact.form.emailPlaceholder">  attributes, comma-separated
+    //
+    // Catalogs are flat JSON files in assets/i18n/<language>.json. A key missing from the
+    // current catalog falls back to English, then to the text already in the markup.
+    // Serbian is read in Latin or Cyrillic script; the catalog is Latin and SerbianScript converts it.
+    // Scripts translate their own strings with I18n.t(key, params) and re-render on the
+    // i18n:change event dispatched on document.
+    //
+    // This is the one language state of the site: the navbar button, the footer select, page menus and
+    // the gt.js widget all call setLanguage and follow the i18n:change event. The choice is kept in
+    // localStorage, with a cookie as a fallback (and for the server), and every page applies it when it loads.
+    const I18n = {
+        languages: ['en', 'sr', 'zh-CN'],
+        defaultLanguage: 'en',
+        // Short codes some page menus use
+        aliases: { zh: 'zh-CN' },
+        cookieMaxAge: 365 * 24 * 60 * 60,
+        storageKey: 'agrotech:language',
+        // Set once the reader picks a language; until then the stored one is the default or a detected one
+        chosenStorageKey: 'agrotech:language-chosen',
+        scriptStorageKey: 'agrotech:script',
+        scripts: ['latin', 'cyrillic'],
+        // Next to this script, so pre-rendered copies in /sr/ and /zh-CN/ find the same catalogs
+        catalogPath: document.currentScript ? new URL('i18n/', document.currentScript.src).href : './assets/i18n/',
+        catalogs: {},
+        language: 'en',
+        script: 'latin',
+        requested: null,
+        catalog: null,
+        fallback: null,
+        // Markup text and attributes as first rendered, restored when a key has no translation
+        originals: new WeakMap(),
+
+        init: function() {
+            this.script = this.getStored(this.scriptStorageKey, this.scripts);
+            const prerendered = document.documentElement.dataset.prerendered;
+
+            // A choice made in another tab or window follows here
+            window.addEventListener('storage', e => {
+                if (e.key === this.storageKey && this.languages.includes(e.newValue) && !prerendered) {
+                    this.load(e.newValue);
+                } else if (e.key === this.scriptStorageKey && this.scripts.includes(e.newValue)) {
+                    this.script = e.newValue;
+                    this.render();
+                }
+            });
+
+            return this.load(this.startLanguage());
+        },
+
+        // Language the page opens in. Copies built by server/build-languages.js are already
+        // translated and stay in their language; other pages use the stored one.
+        startLanguage: function() {
+            return document.documentElement.dataset.prerendered || this.getStored(this.storageKey, this.languages);
+        },
+
+        // Whether the stored language is one the reader picked rather than the default
+        isChosen: function() {
+            return this.getStored(this.chosenStorageKey, ['no', 'yes']) === 'yes';
+        },
+
+        // Cookie names cannot contain ':', e.g. agrotech:language -> agrotech_language
+        cookieName: function(key) {
+            return key.replace(/:/g, '_');
+        },
+
+        // Stored choice if it is one of the allowed values, otherwise the first of them
+        getStored: function(key, allowed) {
+            let stored = null;
+            try {
+                stored = localStorage.getItem(key);
+            } catch (e) {
+                // Storage blocked; the cookie may still have it
+            }
+            if (stored === null) {
+                const match = document.cookie.match(new RegExp('(?:^|;\\s*)' + this.cookieName(key) + '=([^;]*)'));
+                stored = match ? decodeURIComponent(match[1]) : null;
+            }
+            return allowed.includes(stored) ? stored : allowed[0];
+        },
+
+        store: function(key, value) {
+            try {
+                localStorage.setItem(key, value);
+            } catch (e) {
+                // Without storage the cookie below carries the choice
+            }
+            document.cookie = `${this.cookieName(key)}=${encodeURIComponent(value)}; path=/; max-age=${this.cookieMaxAge}; SameSite=Lax`;
+        },
+
+        // Fetch a catalog once; a catalog that cannot be loaded behaves as an empty one
+        loadCatalog: function(language) {
+            if (!this.catalogs[language]) {
+                this.catalogs[language] = fetch(this.catalogPath + language + '.json')
+                    .then(response => response.ok ? response.json() : {})
+                    .catch(() => ({}));
+            }
+            return this.catalogs[language];
+        },
+
+        // Switch language and remember the choice for other pages. Where a pre-rendered copy of the
+        // page exists in that language (an hreflang link on the wrapper page), go there; otherwise
+        // re-render this page in place. Pass { chosen: false } for a language the reader did not pick.
+        setLanguage: function(language, options = {}) {
+            language = this.aliases[language] || language;
+            if (!this.languages.includes(language)) {
+                language = this.defaultLanguage;
+            }
+            if (options.chosen !== false) {
+                this.store(this.chosenStorageKey, 'yes');
+            }
+
+            const alternate = this.alternatePage(language);
+            if (alternate) {
+                this.store(this.storageKey, language);
+                window.parent.location.href = alternate;
+                return Promise.resolve();
+            }
+            return this.load(language);
+        },
+
+        alternatePage: function(language) {
+            try {
+                const link = window.parent.document.querySelector(`link[rel="alternate"][hreflang="${language}"]`);
+                return link && link.href !== window.parent.location.href ? link.href : null;
+            } catch (e) {
+                return null;
+            }
+        },
+
+        load: function(language) {
+            this.requested = language;
+
+            return Promise.all([
+                this.loadCatalog(this.defaultLanguage),
+                this.loadCatalog(language)
+            ]).then(([fallback, catalog]) => {
+                // A later switch made while the catalogs were loading wins
+                if (this.requested !== language) return;
+
+                this.fallback = fallback;
+                this.catalog = catalog;
+                this.language = language;
+                if (this.languages.includes(language)) {
+                    this.store(this.storageKey, language);
+                }
+                this.render();
+            });
+        },
+
+        // Switch Serbian between Latin and Cyrillic; the choice is kept for when Serbian is shown
+        setScript: function(script) {
+            if (!this.scripts.includes(script)) return;
+
+            this.script = script;
+            this.store(this.scriptStorageKey, script);
+            this.render();
+        },
+
+        render: function() {
+            if (this.language === 'sr') {
+                document.documentElement.lang = this.script === 'cyrillic' ? 'sr-Cyrl' : 'sr-Latn';
+            } else {
+                document.documentElement.lang = this.language;
+            }
+
+            this.apply(document);
+            document.dispatchEvent(new CustomEvent('i18n:change', {
+                detail: { language: this.language, script: this.script }
+            }));
+        },
+
+        // Translate a key; {name} placeholders are filled from params
+        t: function(key, params) {
+            const text = this.lookup(key);
+            if (text === null) return key;
+
+            return text.replace(/\{(\w+)\}/g, (match, name) =>
+                params && params[name] !== undefined ? params[name] : match);
+        },
+
+        lookup: function(key) {
+            if (this.catalog && typeof this.catalog[key] === 'string') {
+                const text = this.catalog[key];
+                return this.language === 'sr' && this.script === 'cyrillic' ? SerbianScript.toCyrillic(text) : text;
+            }
+            if (this.fallback && typeof this.fallback[key] === 'string') return this.fallback[key];
+            return null;
+        },
+
+        // Translate every marked element under root, e.g. after inserting new markup.
+        // Children marked data-i18n-param="name" are kept and placed where the text says {name}:
+        //   <p data-i18n="home.useCases.farm.text">Covering <span data-i18n-param="area" data-quantity="500" data-unit="ac">500 acres</span></p>
+        apply: function(root) {
+            root.querySelectorAll('[data-i18n], [data-i18n-attr]').forEach(element => {
+                if (!this.originals.has(element)) {
+                    this.originals.set(element, {
+                        text: element.textContent,
+                        params: Array.from(element.querySelectorAll('[data-i18n-param]')),
+                        attributes: {}
+                    });
+                }
+                const original = this.originals.get(element);
+
+                if (element.dataset.i18n && original.params.length) {
+                    const text = this.lookup(element.dataset.i18n);
+                    if (text !== null) this.fill(element, text, original.params);
+                } else if (element.dataset.i18n) {
+                    const text = this.lookup(element.dataset.i18n);
+                    element.textContent = text !== null ? text : original.text;
+                }
+
+                (element.dataset.i18nAttr || '').split(',').forEach(pair => {
+                    const [attribute, key] = pair.split(':').map(part => part.trim());
+                    if (!attribute || !key) return;
+
+                    if (!(attribute in original.attributes)) {
+                        original.attributes[attribute] = element.getAttribute(attribute);
+                    }
+                    const text = this.lookup(key);
+                    const value = text !== null ? text : original.attributes[attribute];
+                    if (value !== null) element.setAttribute(attribute, value);
+                });
+            });
+        },
+
+        // Lay out text around the param elements, in the order the translation puts them
+        fill: function(element, text, params) {
+            element.replaceChildren(...text.split(/\{(\w+)\}/).map((part, index) => {
+                const param = index % 2 ? params.find(candidate => candidate.dataset.i18nParam === part) : null;
+                return param || document.createTextNode(index % 2 ? `{${part}}` : part);
+            }));
+        }
+    };
+
+    window.I18n = I18n;
+
+    // LocaleFormat - numbers, amounts and dates rendered for the active language with Intl
+    //
+    // Values are marked up as data; the text inside is the English rendering, shown until this runs:
+    //   <td data-format="number" data-value="32500">32,500</td>
+    //   <span data-format="percent" data-value="22.1..22.8">22.1% - 22.8%</span>          ranges use ".."
+    //   <span data-format="currency" data-value="25000..30000" data-currency="USD">$25,000 - $30,000</span>
+    //   <span data-format="date" data-value="2024-03">March 2024</span>                     month or day
+    //
+    // Numbers keep the decimals they are written with. Amounts are shown in the reader's currency,
+    // converted at indicative rates and rounded; the element's title gives the original amount.
+    const LocaleFormat = {
+        locales: { en: 'en-US', sr: 'sr-Latn-RS', 'zh-CN': 'zh-CN' },
+        currencies: { en: 'USD', sr: 'RSD', 'zh-CN': 'USD' },
+        // Units of each currency per US dollar. Only for orientation: quotes are made in the contract currency.
+        rates: { USD: 1, EUR: 0.92, RSD: 108 },
+        // Elements whose title this module set, so it can be removed again
+        titled: new WeakSet(),
+
+        init: function() {
+            this.apply(document);
+            document.addEventListener('i18n:change', () => this.apply(document));
+        },
+
+        locale: function() {
+            if (I18n.language === 'sr' && I18n.script === 'cyrillic') return 'sr-Cyrl-RS';
+            return this.locales[I18n.language] || this.locales.en;
+        },
+
+        // '25000..30000' -> ['25000', '30000']
+        parse: function(value) {
+            return String(value).split('..').map(part => part.trim());
+        },
+
+        // Fraction digits as written, so 94.2 stays 94,2 and 11.0 stays 11,0 in Serbian
+        decimals: function(values) {
+            return Math.max(...values.map(value => {
+                const match = /\.(\d+)$/.exec(value);
+                return match ? match[1].length : 0;
+            }));
+        },
+
+        // One value, or a range for two
+        formatValues: function(formatter, values) {
+            if (values.length === 1) return formatter.format(values[0]);
+            if (typeof formatter.formatRange === 'function') return formatter.formatRange(values[0], values[1]);
+            return formatter.format(values[0]) + ' – ' + formatter.format(values[1]);
+        },
+
+        number: function(value, options) {
+            const values = this.parse(value);
+            const digits = this.decimals(values);
+            const formatter = new Intl.NumberFormat(this.locale(), Object.assign({
+                minimumFractionDigits: digits,
+                maximumFractionDigits: digits
+            }, options));
+            return this.formatValues(formatter, values.map(Number));
+        },
+
+        // Percentages are written as on the page: 22.1 is 22.1%
+        percent: function(value) {
+            const values = this.parse(value);
+            const digits = this.decimals(values);
+            const formatter = new Intl.NumberFormat(this.locale(), {
+                style: 'percent',
+                minimumFractionDigits: digits,
+                maximumFractionDigits: digits
+            });
+            return this.formatValues(formatter, values.map(part => Number(part) / 100));
+        },
+
+        // Amount(s) in the given currency, in the reader's currency where there is a rate for both
+        currency: function(value, from) {
+            from = from || 'USD';
+            const to = this.currencies[I18n.language] || from;
+            const values = this.parse(value).map(Number);
+
+            if (to === from || !this.rates[from] || !this.rates[to]) {
+                return this.formatValues(new Intl.NumberFormat(this.locale(), {
+                    style: 'currency',
+                    currency: from,
+                    maximumFractionDigits: this.decimals(this.parse(value))
+                }), values);
+            }
+
+            return this.formatValues(new Intl.NumberFormat(this.locale(), {
+                style: 'currency',
+                currency: to,
+                maximumSignificantDigits: 3
+            }), values.map(amount => amount * this.rates[to] / this.rates[from]));
+        },
+
+        // 'YYYY-MM' is a month, 'YYYY-MM-DD' a day; dates are calendar dates, so UTC throughout
+        date: function(value) {
+            const values = this.parse(value);
+            const options = values[0].length > 7
+                ? { day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC' }
+                : { month: 'long', year: 'numeric', timeZone: 'UTC' };
+            const dates = values.map(part => {
+                const [year, month, day] = part.split('-').map(Number);
+                return new Date(Date.UTC(year, month - 1, day || 1));
+            });
+            return this.formatValues(new Intl.DateTimeFormat(this.locale(), options), dates);
+        },
+
+        // Render every marked element under root, e.g. after inserting new markup
+        apply: function(root) {
+            root.querySelectorAll('[data-format]').forEach(element => {
+                const value = element.dataset.value;
+                if (!value) return;
+
+                try {
+                    switch (element.dataset.format) {
+                        case 'number':
+                            element.textContent = this.number(value);
+                            break;
+                        case 'percent':
+                            element.textContent = this.percent(value);
+                            break;
+                        case 'date':
+                            element.textContent = this.date(value);
+                            break;
+                        case 'currency': {
+                            const from = element.dataset.currency || 'USD';
+                            element.textContent = this.currency(value, from);
+
+                            const to = this.currencies[I18n.language] || from;
+                            if (to !== from) {
+                                element.title = I18n.t('format.convertedFrom', {
+                                    amount: this.formatValues(new Intl.NumberFormat(this.locale(), {
+                                        style: 'currency',
+                                        currency: from,
+                                        maximumFractionDigits: 0
+                                    }), this.parse(value).map(Number))
+                                });
+                                this.titled.add(element);
+                            } else if (this.titled.has(element)) {
+                                element.removeAttribute('title');
+                                this.titled.delete(element);
+                            }
+                            break;
+                        }
+                    }
+                } catch (e) {
+                    // A malformed value keeps the text written in the markup
+                }
+            });
+        }
+    };
+
+    window.LocaleFormat = LocaleFormat;
+
+    // Units - metric/imperial display of quantities, remembered across pages
+    //
+    // Quantities are marked up with their value as written and the unit it is written in; the text
+    // inside is shown until this runs:
+    //   <span data-quantity="450" data-unit="m3/h">450 m³/h</span>
+    //   <span data-quantity="3..6" data-unit="bar">3-6 bar</span>                      ranges use ".."
+    //   <th>Power (<span data-unit-label="kW">kW</span>)</th>                          a unit on its own,
+    //   <td data-quantity="1.5" data-unit="kW" data-bare>1.5</td>                      with bare numbers below
+    //
+    // In the quantity's own system the value is shown as written; converted values are rounded to
+    // three significant digits. Numbers follow the reader's locale through LocaleFormat.
+    const Units = {
+        storageKey: 'agrotech:units',
+        systems: ['metric', 'imperial'],
+        system: 'metric',
+
+        // unit: [symbol, system, counterpart in the other system, factor to the counterpart]
+        units: {
+            'm3/h': ['m³/h', 'metric', 'gal/min', 4.40287],
+            'L/h': ['L/h', 'metric', 'gal/h', 0.264172],
+            'L/min': ['L/min', 'metric', 'gal/min', 0.264172],
+            'm3': ['m³', 'metric', 'gal', 264.172],
+            'L': ['L', 'metric', 'gal', 0.264172],
+            'm2': ['m²', 'metric', 'ft2', 10.7639],
+            'ha': ['ha', 'metric', 'ac', 2.47105],
+            'bar': ['bar', 'metric', 'psi', 14.5038],
+            'MPa': ['MPa', 'metric', 'psi', 145.038],
+            'mm': ['mm', 'metric', 'in', 0.0393701],
+            'cm': ['cm', 'metric', 'in', 0.393701],
+            'm': ['m', 'metric', 'ft', 3.28084],
+            'km': ['km', 'metric', 'mi', 0.621371],
+            'kg': ['kg', 'metric', 'lb', 2.20462],
+            't': ['t', 'metric', 'ton', 1.10231],
+            'kWh': ['kWh', 'metric', 'BTU', 3412.14],
+            'MWh': ['MWh', 'metric', 'MMBtu', 3.41214],
+            'W': ['W', 'metric', 'hp', 0.00134102],
+            'kW': ['kW', 'metric', 'hp', 1.34102],
+            'MW': ['MW', 'metric', 'hp', 1341.02],
+            '°C': ['°C', 'metric', '°F', null],
+
+            'gal/min': ['gpm', 'imperial', 'm3/h', 0.227125],
+            'gal/h': ['gal/h', 'imperial', 'L/h', 3.78541],
+            'gal': ['gal', 'imperial', 'L', 3.78541],
+            'ft2': ['ft²', 'imperial', 'm2', 0.092903],
+            'ac': ['ac', 'imperial', 'ha', 0.404686],
+            'psi': ['psi', 'imperial', 'bar', 0.0689476],
+            'in': ['in', 'imperial', 'mm', 25.4],
+            'ft': ['ft', 'imperial', 'm', 0.3048],
+            'mi': ['mi', 'imperial', 'km', 1.60934],
+            'lb': ['lb', 'imperial', 'kg', 0.453592],
+            'ton': ['ton', 'imperial', 't', 0.907185],
+            'BTU': ['BTU', 'imperial', 'kWh', 0.000293071],
+            'MMBtu': ['MMBtu', 'imperial', 'MWh', 0.293071],
+            'hp': ['hp', 'imperial', 'kW', 0.745700],
+            '°F': ['°F', 'imperial', '°C', null]
+        },
+
+        init: function() {
+            this.system = I18n.getStored(this.storageKey, this.systems);
+            this.setupControl();
+            this.apply(document);
+            document.addEventListener('i18n:change', () => this.apply(document));
+
+            // A choice made in another tab or window follows here
+            window.addEventListener('storage', e => {
+                if (e.key === this.storageKey && this.systems.includes(e.newValue)) {
+                    this.system = e.newValue;
+                    this.render();
+                }
+            });
+        },
+
+        setSystem: function(system) {
+            if (!this.systems.includes(system)) return;
+
+            this.system = system;
+            I18n.store(this.storageKey, system);
+            this.render();
+        },
+
+        render: function() {
+            this.apply(document);
+            document.dispatchEvent(new CustomEvent('units:change', { detail: { system: this.system } }));
+        },
+
+        // Unit to show a quantity written in unit in, for the current system
+        target: function(unit) {
+            const definition = this.units[unit];
+            return !definition || definition[1] === this.system ? unit : definition[2];
+        },
 
-            window.scrollTo({
-                top: offsetPosition,
-                behavior: 'smooth'
+        convert: function(value, unit) {
+            const definition = this.units[unit];
+            if (unit === '°C') return value * 9 / 5 + 32;
+            if (unit === '°F') return (value - 32) * 5 / 9;
+            return value * definition[3];
+        },
+
+        // '3..6' written in 'bar' -> '3–6 bar', or '43.5–87 psi' for imperial readers; bare leaves out the unit
+        format: function(value, unit, bare) {
+            const target = this.target(unit);
+            // A no-break space keeps number and unit on one line
+            const symbol = bare ? '' : '\u00a0' + (this.units[target] ? this.units[target][0] : unit);
+
+            if (target === unit) {
+                return LocaleFormat.number(value) + symbol;
+            }
+            const converted = LocaleFormat.parse(value).map(part => this.convert(Number(part), unit));
+            return LocaleFormat.number(converted.join('..'), {
+                minimumFractionDigits: undefined,
+                maximumFractionDigits: undefined,
+                maximumSignificantDigits: 3
+            }) + symbol;
+        },
+
+        // Render every marked quantity and unit label under root, e.g. after inserting new markup
+        apply: function(root) {
+            root.querySelectorAll('[data-quantity][data-unit]').forEach(element => {
+                if (!this.units[element.dataset.unit]) return;
+                element.textContent = this.format(element.dataset.quantity, element.dataset.unit, element.hasAttribute('data-bare'));
+            });
+            root.querySelectorAll('[data-unit-label]').forEach(element => {
+                const target = this.target(element.dataset.unitLabel);
+                if (this.units[target]) element.textContent = this.units[target][0];
+            });
+
+            // Number inputs marked data-input-unit="ha" are typed in the reader's system; what was
+            // already typed is converted along
+            root.querySelectorAll('input[data-input-unit]').forEach(input => {
+                const unit = input.dataset.inputUnit;
+                const target = this.target(unit);
+                if (target !== (input.dataset.shownUnit || unit) && Number(input.value)) {
+                    const value = this.inputValue(input);
+                    input.value = Math.round((target === unit ? value : this.convert(value, unit)) * 100) / 100;
+                }
+                input.dataset.shownUnit = target;
             });
         },
 
-        // Add loading animation
-        addLoadingState: function(element, text = 'Loading...') {
-            if (!element) return;
-            
-            const originalText = element.textContent;
-            const originalHTML = element.innerHTML;
-            
-            element.innerHTML = `
-                <span class="loading loading-spinner loading-sm"></span>
-                ${text}
+        // Value of a data-input-unit input in the unit it is marked with; 0 when empty.
+        // Not for temperatures, which do not convert by a factor.
+        inputValue: function(input) {
+            const value = Number(input.value) || 0;
+            const unit = input.dataset.inputUnit;
+            return (input.dataset.shownUnit || unit) === unit ? value : value / this.convert(1, unit);
+        },
+
+        // Metric/imperial select next to the language select in the footer
+        setupControl: function() {
+            const languageSelect = document.querySelector('[data-section-id="common_footer"] select');
+            if (!languageSelect || document.querySelector('.units-select')) return;
+
+            const label = document.createElement('label');
+            label.className = 'label cursor-pointer w-max gap-2';
+            label.innerHTML = `
+                <span class="iconify" data-icon="mdi:ruler" data-width="16"></span>
+                <select class="select select-bordered select-sm w-32 units-select" data-i18n-attr="aria-label:units.label" aria-label="Units">
+                    <option value="metric" data-i18n="units.metric">Metric</option>
+                    <option value="imperial" data-i18n="units.imperial">Imperial</option>
+                </select>
             `;
-            element.disabled = true;
-            
-            return {
-                restore: function() {
-                    element.innerHTML = originalHTML;
-                    element.disabled = false;
-                }
-            };
+            languageSelect.closest('label').after(label);
+
+            const select = label.querySelector('select');
+            select.value = this.system;
+            select.addEventListener('change', e => this.setSystem(e.target.value));
+            document.addEventListener('units:change', () => { select.value = this.system; });
+            I18n.apply(label);
         }
     };
 
+    window.Units = Units;
+
     // Navigation Enhancement
     const NavigationEnhancement = {
         init: function() {
@@ -246,22 +1380,32 @@
                 navbarEnd.appendChild(languageSwitcher);
             }
 
+            // Serbian readers pick Latin or Cyrillic; the button names the other script in its own letters
+            const scriptButton = document.createElement('button');
+            scriptButton.type = 'button';
+            scriptButton.className = 'btn btn-ghost btn-sm script-switcher hidden';
+            scriptButton.addEventListener('click', () => {
+                I18n.setScript(I18n.script === 'latin' ? 'cyrillic' : 'latin');
+            });
+            languageSwitcher.appendChild(scriptButton);
+
+            // The button shows the current language; I18n announces every change
+            const updateButton = () => {
+                const label = languageSwitcher.querySelector('.btn span:last-child');
+                const icon = languageSwitcher.querySelector('.btn .iconify');
+                label.textContent = I18n.language.split('-')[0].toUpperCase();
+                icon.setAttribute('data-icon', I18n.language === 'en' ? 'mdi:translate' : 'mdi:translate-variant');
+
+                scriptButton.classList.toggle('hidden', I18n.language !== 'sr');
+                scriptButton.textContent = I18n.script === 'latin' ? 'Ћирилица' : 'Latinica';
+                scriptButton.setAttribute('lang', I18n.script === 'latin' ? 'sr-Cyrl' : 'sr-Latn');
+            };
+            updateButton();
+            document.addEventListener('i18n:change', updateButton);
+
             // Add language toggle functionality
             window.toggleLanguage = function() {
-                const btn = document.querySelector('.language-switcher .btn span:last-child');
-                const icon = document.querySelector('.language-switcher .btn .iconify');
-                
-                if (btn.textContent === 'EN') {
-                    btn.textContent = 'SR';
-                    icon.setAttribute('data-icon', 'mdi:translate-variant');
-                    // Here you would implement actual language switching logic
-                    console.log('Switching to Serbian');
-                } else {
-                    btn.textContent = 'EN';
-                    icon.setAttribute('data-icon', 'mdi:translate');
-                    // Here you would implement actual language switching logic
-                    console.log('Switching to English');
-                }
+                I18n.setLanguage(I18n.language === 'en' ? 'sr' : 'en');
                 
                 // Add click animation
                 const button = document.querySelector('.language-switcher .btn');
@@ -273,6 +1417,318 @@
         }
     };
 
+    // Form Validation - one declarative, schema-based validator for every site form
+    //
+    // A schema lists each field once:
+    //   FormValidation.attach(form, {
+    //       fields: {
+    //           email: {
+    //               rules: { required: true, email: true },
+    //               message: 'Please enter a valid email address',  // or messages: { email: '...' }
+    //                                                                // either may be a function, e.g. () => I18n.t('...')
+    //               errorElement: '#emailError'                      // optional, created when omitted
+    //           }
+    //       },
+    //       onValidityChange: function(valid) {},
+    //       onInvalidSubmit: function() {}
+    //   });
+    const FormValidation = {
+        validators: new WeakMap(),
+
+        // Built-in rules; each returns true when the value passes
+        rules: {
+            // Checkbox groups pass with any box ticked (their value is the first ticked one)
+            required: function(value, element) {
+                return value !== '' || (element.type === 'checkbox' && element.checked);
+            },
+            email: function(value) {
+                return value === '' || /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value);
+            },
+            phone: function(value) {
+                return value === '' || /^\+?[1-9]\d{5,15}$/.test(value.replace(/[\s\-().]/g, ''));
+            },
+            minLength: function(value, element, min) {
+                return value === '' || value.length >= min;
+            },
+            maxLength: function(value, element, max) {
+                return value.length <= max;
+            },
+            consent: function(value, element) {
+                return element.checked;
+            }
+        },
+
+        // Default messages; {0} is replaced with the rule option
+        messages: {
+            required: 'This field is required',
+            email: 'Please enter a valid email address',
+            phone: 'Please enter a valid phone number',
+            minLength: 'Please enter at least {0} characters',
+            maxLength: 'Please enter no more than {0} characters',
+            consent: 'Please confirm to continue',
+            custom: 'Please check this field'
+        },
+
+        // Validator attached to a form, or null
+        get: function(form) {
+            return this.validators.get(form) || null;
+        },
+
+        attach: function(form, schema) {
+            if (this.validators.has(form)) {
+                return this.validators.get(form);
+            }
+
+            const validator = Object.create(FormValidator);
+            validator.init(form, schema);
+            this.validators.set(form, validator);
+            return validator;
+        },
+
+        // Build a schema from HTML attributes (required, type, minlength, maxlength)
+        schemaFromMarkup: function(form) {
+            const fields = {};
+
+            form.querySelectorAll('input[name], textarea[name], select[name], input[id], textarea[id], select[id]').forEach(element => {
+                const name = element.name || element.id;
+                if (fields[name] || ['hidden', 'submit', 'button', 'radio'].includes(element.type)) return;
+
+                const rules = {};
+                if (element.required) rules[element.type === 'checkbox' ? 'consent' : 'required'] = true;
+                if (element.type === 'email') rules.email = true;
+                if (element.type === 'tel') rules.phone = true;
+                if (element.minLength > 0) rules.minLength = element.minLength;
+                if (element.maxLength > 0) rules.maxLength = element.maxLength;
+
+                if (Object.keys(rules).length) {
+                    fields[name] = { rules: rules };
+                }
+            });
+
+            return { fields: fields };
+        }
+    };
+
+    // Methods shared by every validator created with FormValidation.attach
+    const FormValidator = {
+        init: function(form, schema) {
+            this.form = form;
+            this.schema = Object.assign({
+                invalidClass: 'form-field-error',
+                validClass: 'form-field-valid'
+            }, schema);
+            this.submitted = false;
+
+            // Our messages replace the browser's validation bubbles
+            form.noValidate = true;
+            this.bindEvents();
+        },
+
+        fieldNames: function() {
+            return Object.keys(this.schema.fields);
+        },
+
+        // All elements for a field (several for a radio group)
+        elements: function(name) {
+            const found = this.form.elements[name] || this.form.querySelector('#' + CSS.escape(name));
+            if (!found) return [];
+            return typeof found.length === 'number' && !found.tagName ? Array.from(found) : [found];
+        },
+
+        value: function(name) {
+            const elements = this.elements(name);
+            if (elements.length > 1) {
+                const checked = elements.find(element => element.checked);
+                return checked ? checked.value : '';
+            }
+            return elements[0] && elements[0].type !== 'checkbox' ? elements[0].value.trim() : '';
+        },
+
+        // First failing message for a field, or null when it is valid
+        check: function(name) {
+            const field = this.schema.fields[name];
+            const elements = this.elements(name);
+            if (!field || !elements.length) return null;
+
+            const value = this.value(name);
+            const rules = field.rules || {};
+
+            for (const ruleName of Object.keys(rules)) {
+                const option = rules[ruleName];
+                if (option === false) continue;
+
+                let result;
+                if (ruleName === 'custom') {
+                    result = option(value, elements[0], this.form);
+                } else if (FormValidation.rules[ruleName]) {
+                    result = FormValidation.rules[ruleName](value, elements[0], option);
+                } else {
+                    continue;
+                }
+
+                if (result !== true) {
+                    if (typeof result === 'string') return result;
+                    const messages = field.messages || {};
+                    const message = messages[ruleName] || field.message || FormValidation.messages[ruleName];
+                    return (typeof message === 'function' ? message() : message).replace('{0}', option);
+                }
+            }
+
+            return null;
+        },
+
+        errorElement: function(name) {
+            const field = this.schema.fields[name];
+            if (field.errorElement) {
+                return typeof field.errorElement === 'string' ?
+                    this.form.ownerDocument.querySelector(field.errorElement) :
+                    field.errorElement;
+            }
+
+            // Create one next to the field the first time it is needed
+            const element = this.elements(name)[0];
+            const container = element.closest('.form-control, fieldset') || element.parentElement;
+            let errorElement = container.querySelector(`.field-error[data-field="${name}"]`);
+            if (!errorElement) {
+                errorElement = document.createElement('div');
+                errorElement.className = 'field-error text-error text-sm mt-1 hidden';
+                errorElement.setAttribute('data-field', name);
+                container.appendChild(errorElement);
+            }
+            return errorElement;
+        },
+
+        showFieldError: function(name, message) {
+            const errorElement = this.errorElement(name);
+            this.elements(name).forEach(element => {
+                element.classList.remove(this.schema.validClass);
+                element.classList.add(this.schema.invalidClass);
+                element.setAttribute('aria-invalid', 'true');
+            });
+            if (errorElement) {
+                errorElement.textContent = message;
+                errorElement.classList.remove('hidden');
+            }
+        },
+
+        clearFieldError: function(name) {
+            const field = this.schema.fields[name];
+            this.elements(name).forEach(element => {
+                element.classList.remove(this.schema.invalidClass, this.schema.validClass);
+                element.removeAttribute('aria-invalid');
+            });
+
+            const errorElement = field.errorElement ? this.errorElement(name) :
+                this.form.querySelector(`.field-error[data-field="${name}"]`);
+            if (errorElement) {
+                errorElement.classList.add('hidden');
+            }
+        },
+
+        // Validate one field; with show: true the result is reflected in the page
+        validateField: function(name, options = {}) {
+            const message = this.check(name);
+            if (!options.show) return message === null;
+
+            this.clearFieldError(name);
+            if (message !== null) {
+                this.showFieldError(name, message);
+            } else if (this.value(name) !== '') {
+                this.elements(name).forEach(element => element.classList.add(this.schema.validClass));
+            }
+            return message === null;
+        },
+
+        // Validate every field (or options.fields) and return overall validity
+        validate: function(options = {}) {
+            const names = options.fields || this.fieldNames();
+            let valid = true;
+            let firstInvalid = null;
+
+            names.forEach(name => {
+                if (!this.validateField(name, options)) {
+                    valid = false;
+                    firstInvalid = firstInvalid || this.elements(name)[0];
+                }
+            });
+
+            if (options.show && options.focus && firstInvalid) {
+                firstInvalid.focus();
+            }
+            return valid;
+        },
+
+        isValid: function() {
+            return this.validate({ show: false });
+        },
+
+        notify: function() {
+            if (this.schema.onValidityChange) {
+                this.schema.onValidityChange(this.isValid());
+            }
+        },
+
+        reset: function() {
+            this.submitted = false;
+            this.fieldNames().forEach(name => this.clearFieldError(name));
+            this.notify();
+        },
+
+        bindEvents: function() {
+            const quietCheck = Utils.debounce(() => this.notify(), 300);
+
+            this.fieldNames().forEach(name => {
+                this.elements(name).forEach(element => {
+                    if (element.type === 'checkbox' || element.type === 'radio' || element.tagName === 'SELECT') {
+                        element.addEventListener('change', () => {
+                            this.validateField(name, { show: true });
+                            this.notify();
+                        });
+                        return;
+                    }
+
+                    // Don't complain about empty fields until the visitor tries to submit
+                    element.addEventListener('blur', () => {
+                        if (element.value.trim() !== '' || this.submitted) {
+                            this.validateField(name, { show: true });
+                        }
+                        this.notify();
+                    });
+
+                    element.addEventListener('input', () => {
+                        this.clearFieldError(name);
+                        quietCheck();
+                    });
+                });
+            });
+
+            // Capture phase, so invalid submissions never reach the form's own handlers
+            this.form.addEventListener('submit', e => {
+                this.submitted = true;
+                if (!this.validate({ show: true, focus: true })) {
+                    e.preventDefault();
+                    e.stopImmediatePropagation();
+                    if (this.schema.onInvalidSubmit) {
+                        this.schema.onInvalidSubmit();
+                    }
+                }
+            }, true);
+
+            this.form.addEventListener('reset', () => {
+                setTimeout(() => this.reset(), 0);
+            });
+
+            // Errors on show are worded again in the new language
+            document.addEventListener('i18n:change', () => {
+                this.fieldNames()
+                    .filter(name => this.elements(name).some(element => element.getAttribute('aria-invalid') === 'true'))
+                    .forEach(name => this.validateField(name, { show: true }));
+            });
+        }
+    };
+
+    window.FormValidation = FormValidation;
+
     // Form Enhancement
     const FormEnhancement = {
         init: function() {
@@ -282,48 +1738,32 @@
         },
 
         setupFormValidation: function() {
-            const forms = document.querySelectorAll('form');
-            
-            forms.forEach(form => {
-                const inputs = form.querySelectorAll('input, textarea, select');
-                
-                inputs.forEach(input => {
-                    // Real-time validation
-                    input.addEventListener('blur', function() {
-                        this.validateField();
-                    });
-                    
-                    input.addEventListener('input', Utils.debounce(function() {
-                        if (this.classList.contains('error')) {
-                            this.validateField();
-                        }
-                    }, 300));
-                });
-                
-                // Form submission validation
-                form.addEventListener('submit', function(e) {
-                    if (!this.validateForm()) {
-                        e.preventDefault();
-                    }
-                });
+            // Forms that did not declare a schema get one built from their markup
+            document.querySelectorAll('form:not([method="dialog"])').forEach(form => {
+                if (!FormValidation.get(form)) {
+                    FormValidation.attach(form, FormValidation.schemaFromMarkup(form));
+                }
             });
         },
 
         setupFormSubmission: function() {
             const forms = document.querySelectorAll('form');
-            
+
             forms.forEach(form => {
-                form.addEventListener('submit', function(e) {
+                let loadingState = null;
+
+                // Show a loading state while InquiryService has a request in flight
+                form.addEventListener('inquiry:submitting', function() {
                     const submitButton = form.querySelector('button[type="submit"], input[type="submit"]');
-                    if (submitButton) {
-                        const loadingState = Utils.addLoadingState(submitButton, 'Sending...');
-                        
-                        // Simulate form submission (replace with actual submission logic)
-                        setTimeout(() => {
-                            loadingState.restore();
-                            // Show success message or redirect
-                            this.showSuccessMessage();
-                        }, 2000);
+                    if (submitButton && !loadingState) {
+                        loadingState = Utils.addLoadingState(submitButton, 'Sending...');
+                    }
+                });
+
+                form.addEventListener('inquiry:settled', function() {
+                    if (loadingState) {
+                        loadingState.restore();
+                        loadingState = null;
                     }
                 });
             });
@@ -356,94 +1796,386 @@
                     });
                 }
             });
-        },
+        }
+    };
 
-        validateField: function() {
-            const value = this.value.trim();
-            const fieldType = this.type;
-            const required = this.hasAttribute('required');
-            
-            // Remove existing error state
-            this.classList.remove('error');
-            this.classList.remove('success');
-            
-            // Check required fields
-            if (required && !value) {
-                this.classList.add('error');
-                this.showFieldError('This field is required');
-                return false;
+    // Quote Wizard - product-aware multi-step "Get Quote" dialog
+    const QuoteWizard = {
+        // Product lines per category; `titles` are the detail pages that prefill a line
+        catalog: [
+            {
+                id: 'irrigation',
+                label: 'Irrigation Systems',
+                icon: 'mdi:sprinkler-variant',
+                titles: ['Irrigation Systems'],
+                lines: [
+                    { label: 'Center Pivot', titles: ['Center Pivot Irrigation Detail'], models: ['Center Pivot System'] },
+                    { label: 'Linear Move', titles: ['Linear Irrigation Detail'], models: ['Linear Move System'] },
+                    { label: 'Hose Reel', titles: ['Hose Reel Irrigation Detail'], models: ['Hose Reel System'] },
+                    { label: 'Drip', titles: ['Drip Irrigation Detail'], models: ['Drip Irrigation System'] }
+                ]
+            },
+            {
+                id: 'solar',
+                label: 'Solar Solutions',
+                icon: 'mdi:solar-panel-large',
+                titles: ['Solar Solutions'],
+                lines: [
+                    { label: 'Agricultural Solar Irrigation', titles: ['Agricultural Solar Irrigation Detail'], models: ['ASI-1500', 'ASI-3000', 'ASI-5500', 'ASI-7500', 'ASI-11000', 'ASI-15000'] },
+                    { label: 'Solar Water Pumps', titles: ['Solar Water Pumps Detail'], models: ['SP-500', 'SP-1000', 'SP-1500', 'SP-2000', 'SP-3000'] },
+                    { label: 'Household Energy Storage', titles: ['Household Energy Storage Detail'], models: ['ES-5000', 'ES-10000', 'ES-15000', 'ES-20000'] },
+                    { label: 'Commercial/Industrial Solar', titles: ['Commercial/Industrial Solar Detail'], models: ['Commercial/Industrial PV System'] }
+                ]
+            },
+            {
+                id: 'bird_repellent',
+                label: 'Bird Repellent',
+                icon: 'mdi:bird',
+                titles: ['Bird Repellent Systems'],
+                lines: [
+                    { label: 'Ultrasonic Repellent', titles: ['Ultrasonic Repellent Detail'], models: ['Ultrasonic Repellent Unit'] },
+                    { label: 'Visual Deterrent', titles: ['Visual Deterrent Detail'], models: ['Visual Deterrent Kit'] }
+                ]
             }
-            
-            // Email validation
-            if (fieldType === 'email' && value) {
-                const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-                if (!emailRegex.test(value)) {
-                    this.classList.add('error');
-                    this.showFieldError('Please enter a valid email address');
-                    return false;
+        ],
+
+        steps: ['Product', 'Model', 'Site', 'Contact'],
+        // Fields checked before leaving each step
+        stepFields: [
+            ['category'],
+            ['model'],
+            ['location', 'area', 'notes'],
+            ['fullName', 'email', 'gdprConsent']
+        ],
+        currentStep: 0,
+        dialog: null,
+        form: null,
+
+        init: function() {
+            this.createDialog();
+            this.setupQuoteButtons();
+            this.setupSpecsTableLaunchers();
+
+            window.QuoteWizard = { open: this.open.bind(this) };
+        },
+
+        // Title of the page without the site suffix, e.g. "Solar Water Pumps Detail"
+        getPageTitle: function() {
+            return document.title.split(' - ')[0].trim();
+        },
+
+        // Work out which category/model the visitor is looking at
+        getPageContext: function() {
+            const title = this.getPageTitle();
+            let context = {};
+
+            this.catalog.forEach(category => {
+                if (category.titles.includes(title)) {
+                    context = { category: category.id };
                 }
-            }
-            
-            // Phone validation
-            if (fieldType === 'tel' && value) {
-                const phoneRegex = /^[\+]?[1-9][\d]{0,15}$/;
-                if (!phoneRegex.test(value.replace(/\s/g, ''))) {
-                    this.classList.add('error');
-                    this.showFieldError('Please enter a valid phone number');
-                    return false;
+                category.lines.forEach(line => {
+                    if (line.titles.includes(title)) {
+                        context = {
+                            category: category.id,
+                            model: line.models.length === 1 ? line.models[0] : ''
+                        };
+                    }
+                });
+            });
+
+            return context;
+        },
+
+        findCategoryForModel: function(model) {
+            const category = this.catalog.find(category =>
+                category.lines.some(line => line.models.includes(model)));
+            return category ? category.id : '';
+        },
+
+        createDialog: function() {
+            if (document.getElementById('quoteWizard')) return;
+
+            const stepItems = this.steps.map(step => `<li class="step" data-type="text">${step}</li>`).join('');
+            const categoryOptions = this.catalog.map(category => `
+                <label class="border border-base-300 rounded-box bg-base-200 cursor-pointer p-4 flex items-center gap-3">
+                    <input type="radio" name="category" value="${category.id}" class="radio radio-primary" required>
+                    <span class="iconify text-primary" data-icon="${category.icon}" data-width="28"></span>
+                    <span class="font-semibold">${category.label}</span>
+                </label>
+            `).join('');
+
+            const dialog = document.createElement('dialog');
+            dialog.id = 'quoteWizard';
+            dialog.className = 'modal';
+            dialog.innerHTML = `
+                <div class="modal-box max-w-2xl">
+                    <form method="dialog">
+                        <button class="btn btn-sm btn-circle btn-ghost absolute right-2 top-2" aria-label="Close">✕</button>
+                    </form>
+                    <h3 class="font-bold text-2xl text-primary mb-4">Request a Quote</h3>
+                    <ul class="steps w-full mb-6">${stepItems}</ul>
+
+                    <div class="quote-wizard-alert alert alert-error hidden mb-4" role="alert">
+                        <span class="iconify" data-icon="heroicons:exclamation-triangle" data-width="24"></span>
+                        <span class="quote-wizard-alert-message"></span>
+                    </div>
+
+                    <form id="quoteWizardForm" novalidate>
+                        <div style="position: absolute; left: -9999px;" aria-hidden="true">
+                            <label for="quoteWebsite">Website</label>
+                            <input type="text" id="quoteWebsite" name="website" tabindex="-1" autocomplete="off">
+                        </div>
+
+                        <fieldset class="quote-step" data-step="0">
+                            <legend class="font-semibold mb-3">Which product are you interested in?</legend>
+                            <div class="grid grid-cols-1 sm:grid-cols-3 gap-3">${categoryOptions}</div>
+                        </fieldset>
+
+                        <fieldset class="quote-step hidden" data-step="1">
+                            <label class="label" for="quoteModel"><span class="label-text font-semibold">Model *</span></label>
+                            <select id="quoteModel" name="model" class="select select-bordered w-full" required></select>
+                        </fieldset>
+
+                        <fieldset class="quote-step hidden" data-step="2">
+                            <div class="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                                <div class="form-control">
+                                    <label class="label" for="quoteLocation"><span class="label-text font-semibold">Site location *</span></label>
+                                    <input type="text" id="quoteLocation" name="location" class="input input-bordered w-full" placeholder="Town or region" required>
+                                </div>
+                                <div class="form-control">
+                                    <label class="label" for="quoteArea"><span class="label-text font-semibold">Area to cover</span></label>
+                                    <input type="text" id="quoteArea" name="area" class="input input-bordered w-full" placeholder="e.g. 40 hectares">
+                                </div>
+                                <div class="form-control">
+                                    <label class="label" for="quoteWaterSource"><span class="label-text font-semibold">Water source</span></label>
+                                    <select id="quoteWaterSource" name="waterSource" class="select select-bordered w-full">
+                                        <option value="">Not applicable / not sure</option>
+                                        <option>Well or borehole</option>
+                                        <option>River or canal</option>
+                                        <option>Reservoir or pond</option>
+                                        <option>Municipal supply</option>
+                                    </select>
+                                </div>
+                                <div class="form-control">
+                                    <label class="label" for="quoteGridAccess"><span class="label-text font-semibold">Grid connection</span></label>
+                                    <select id="quoteGridAccess" name="gridAccess" class="select select-bordered w-full">
+                                        <option value="">Not sure</option>
+                                        <option>Reliable grid connection</option>
+                                        <option>Unreliable grid connection</option>
+                                        <option>No grid connection</option>
+                                    </select>
+                                </div>
+                            </div>
+                            <div class="form-control mt-4">
+                                <label class="label" for="quoteNotes"><span class="label-text font-semibold">Anything else we should know?</span></label>
+                                <textarea id="quoteNotes" name="notes" class="textarea textarea-bordered h-24 w-full" placeholder="Crops, field shape, existing equipment..."></textarea>
+                            </div>
+                        </fieldset>
+
+                        <fieldset class="quote-step hidden" data-step="3">
+                            <div class="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                                <div class="form-control">
+                                    <label class="label" for="quoteFullName"><span class="label-text font-semibold">Full Name *</span></label>
+                                    <input type="text" id="quoteFullName" name="fullName" class="input input-bordered w-full" minlength="2" required>
+                                </div>
+                                <div class="form-control">
+                                    <label class="label" for="quoteEmail"><span class="label-text font-semibold">Email Address *</span></label>
+                                    <input type="email" id="quoteEmail" name="email" class="input input-bordered w-full" required>
+                                </div>
+                            </div>
+                            <label class="label cursor-pointer justify-start gap-4 mt-4">
+                                <input type="checkbox" name="gdprConsent" class="checkbox checkbox-primary" required>
+                                <span class="label-text" data-policy-version="${InquiryService.policyVersion}">I agree to the processing of my personal data in accordance with the Privacy Policy (version ${InquiryService.policyVersion}) *</span>
+                            </label>
+                        </fieldset>
+
+                        <div class="modal-action">
+                            <button type="button" class="btn btn-ghost quote-back">Back</button>
+                            <button type="button" class="btn btn-primary quote-next">Next</button>
+                            <button type="submit" class="btn btn-primary quote-submit hidden">Send Quote Request</button>
+                        </div>
+                    </form>
+                </div>
+                <form method="dialog" class="modal-backdrop"><button>close</button></form>
+            `;
+
+            document.body.appendChild(dialog);
+            this.dialog = dialog;
+            this.form = dialog.querySelector('#quoteWizardForm');
+            this.validator = FormValidation.attach(this.form, {
+                fields: {
+                    category: { rules: { required: true }, message: 'Please choose a product category' },
+                    model: { rules: { required: true }, message: 'Please choose a model' },
+                    location: { rules: { required: true, maxLength: 200 }, messages: { required: 'Please tell us where the site is' } },
+                    area: { rules: { maxLength: 40 } },
+                    notes: { rules: { maxLength: 2000 } },
+                    fullName: { rules: { required: true, minLength: 2, maxLength: 120 }, messages: { required: 'Please enter your full name' } },
+                    email: { rules: { required: true, email: true }, message: 'Please enter a valid email address' },
+                    gdprConsent: { rules: { consent: true }, message: 'You must agree to the privacy policy' }
+                }
+            });
+
+            this.form.addEventListener('change', e => {
+                if (e.target.name === 'category') {
+                    this.populateModels(e.target.value);
+                }
+            });
+            dialog.querySelector('.quote-back').addEventListener('click', () => this.showStep(this.currentStep - 1));
+            dialog.querySelector('.quote-next').addEventListener('click', () => {
+                if (this.validateStep(this.currentStep)) {
+                    this.showStep(this.currentStep + 1);
                 }
+            });
+            this.form.addEventListener('submit', e => {
+                e.preventDefault();
+                this.submit();
+            });
+        },
+
+        populateModels: function(categoryId, selectedModel) {
+            const category = this.catalog.find(category => category.id === categoryId);
+            const select = this.form.querySelector('#quoteModel');
+            if (!category) return;
+
+            select.innerHTML = '<option value="">Choose a model</option>' + category.lines.map(line => `
+                <optgroup label="${line.label}">
+                    ${line.models.map(model => `<option value="${model}">${model}</option>`).join('')}
+                </optgroup>
+            `).join('');
+            select.value = selectedModel || '';
+        },
+
+        showStep: function(step) {
+            this.currentStep = Math.max(0, Math.min(step, this.steps.length - 1));
+
+            this.dialog.querySelectorAll('.quote-step').forEach(fieldset => {
+                fieldset.classList.toggle('hidden', Number(fieldset.dataset.step) !== this.currentStep);
+            });
+            this.dialog.querySelectorAll('.steps .step').forEach((item, index) => {
+                item.classList.toggle('step-primary', index <= this.currentStep);
+            });
+
+            const isLast = this.currentStep === this.steps.length - 1;
+            this.dialog.querySelector('.quote-back').classList.toggle('invisible', this.currentStep === 0);
+            this.dialog.querySelector('.quote-next').classList.toggle('hidden', isLast);
+            this.dialog.querySelector('.quote-submit').classList.toggle('hidden', !isLast);
+            this.hideAlert();
+        },
+
+        validateStep: function(step) {
+            return this.validator.validate({ show: true, focus: true, fields: this.stepFields[step] });
+        },
+
+        // Open the wizard, optionally prefilled with { category, model }
+        open: function(context) {
+            const prefill = Object.assign(this.getPageContext(), context || {});
+            if (prefill.model && !prefill.category) {
+                prefill.category = this.findCategoryForModel(prefill.model);
             }
-            
-            // Success state
-            if (value) {
-                this.classList.add('success');
+
+            this.form.reset();
+            this.form.querySelectorAll('input[name="category"]').forEach(radio => {
+                radio.checked = radio.value === prefill.category;
+            });
+
+            let startStep = 0;
+            if (prefill.category) {
+                this.populateModels(prefill.category, prefill.model);
+                startStep = prefill.model ? 2 : 1;
             }
-            
-            return true;
+
+            this.showStep(startStep);
+            this.dialog.showModal();
         },
 
-        showFieldError: function(message) {
-            // Remove existing error message
-            const existingError = this.parentElement.querySelector('.field-error');
-            if (existingError) {
-                existingError.remove();
-            }
-            
-            // Add new error message
-            const errorElement = document.createElement('div');
-            errorElement.className = 'field-error text-error text-sm mt-1';
-            errorElement.textContent = message;
-            this.parentElement.appendChild(errorElement);
+        showAlert: function(message) {
+            const alert = this.dialog.querySelector('.quote-wizard-alert');
+            alert.querySelector('.quote-wizard-alert-message').textContent = message;
+            alert.classList.remove('hidden');
         },
 
-        validateForm: function() {
-            const inputs = this.querySelectorAll('input, textarea, select');
-            let isValid = true;
-            
-            inputs.forEach(input => {
-                if (!input.validateField()) {
-                    isValid = false;
+        hideAlert: function() {
+            this.dialog.querySelector('.quote-wizard-alert').classList.add('hidden');
+        },
+
+        submit: function() {
+            const data = new FormData(this.form);
+            const value = name => (data.get(name) || '').toString().trim();
+            const quote = {
+                category: value('category'),
+                model: value('model'),
+                location: value('location'),
+                area: value('area'),
+                waterSource: value('waterSource'),
+                gridAccess: value('gridAccess'),
+                notes: value('notes')
+            };
+            const category = this.catalog.find(category => category.id === quote.category);
+
+            const payload = {
+                fullName: value('fullName'),
+                email: value('email'),
+                subject: `Quote request: ${quote.model}`,
+                message: [
+                    `Quote request for ${quote.model} (${category ? category.label : quote.category}).`,
+                    `Site location: ${quote.location}`,
+                    quote.area && `Area: ${quote.area}`,
+                    quote.waterSource && `Water source: ${quote.waterSource}`,
+                    quote.gridAccess && `Grid connection: ${quote.gridAccess}`,
+                    quote.notes && `Notes: ${quote.notes}`
+                ].filter(Boolean).join('\n'),
+                gdprConsent: data.get('gdprConsent') === 'on',
+                quote: quote,
+                sourcePage: this.getPageTitle()
+            };
+
+            InquiryService.submit(this.form, payload).then(result => {
+                this.dialog.close();
+                if (result.queued) {
+                    Utils.showNotice('You appear to be offline. Your quote request has been saved and will be sent when your connection returns.', 'info');
+                    return;
                 }
+                window.navigateTo('submission_confirmation');
+            }).catch(error => {
+                this.showAlert(error.message);
             });
-            
-            return isValid;
         },
 
-        showSuccessMessage: function() {
-            // Create success message
-            const message = document.createElement('div');
-            message.className = 'alert alert-success fixed top-4 right-4 z-50 max-w-sm';
-            message.innerHTML = `
-                <span class="iconify" data-icon="heroicons:check-circle" data-width="20"></span>
-                <span>Form submitted successfully!</span>
-            `;
-            
-            document.body.appendChild(message);
-            
-            // Remove after 3 seconds
-            setTimeout(() => {
-                message.remove();
-            }, 3000);
+        // Route every navbar "Get Quote" button to the wizard instead of the Contact page
+        setupQuoteButtons: function() {
+            document.querySelectorAll('.navbar-end .btn-primary').forEach(button => {
+                button.removeAttribute('onclick');
+                button.addEventListener('click', e => {
+                    e.preventDefault();
+                    this.open();
+                });
+            });
+        },
+
+        // Add a "Quote" action to spec-table rows that start with a known model code
+        setupSpecsTableLaunchers: function() {
+            document.querySelectorAll('table').forEach(table => {
+                let hasLauncher = false;
+
+                table.querySelectorAll('tbody tr').forEach(row => {
+                    const firstCell = row.querySelector('td');
+                    const model = firstCell ? firstCell.textContent.trim() : '';
+                    if (!this.findCategoryForModel(model)) return;
+
+                    const cell = document.createElement('td');
+                    cell.innerHTML = '<button type="button" class="btn btn-sm btn-outline btn-primary">Quote</button>';
+                    cell.querySelector('button').addEventListener('click', () => this.open({ model }));
+                    row.appendChild(cell);
+                    hasLauncher = true;
+                });
+
+                const headerRow = table.querySelector('thead tr');
+                if (hasLauncher && headerRow) {
+                    const header = document.createElement('th');
+                    header.innerHTML = '<span class="sr-only">Quote</span>';
+                    headerRow.appendChild(header);
+                }
+            });
         }
     };
 
@@ -584,6 +2316,14 @@
                     this.updateTabIndicator(currentActiveTab);
                 }
             }, 250));
+
+            // The tabs swap sides when the page direction changes
+            document.addEventListener('gt:direction', () => {
+                const currentActiveTab = document.querySelector('.irrigation-tab.active, .tab-button.active');
+                if (currentActiveTab) {
+                    this.updateTabIndicator(currentActiveTab);
+                }
+            });
         },
 
         updateTabIndicator: function(activeTab) {
@@ -594,7 +2334,14 @@
                 const leftPosition = tabRect.left - containerRect.left;
                 const width = tabRect.width;
                 
-                indicator.style.left = leftPosition + 'px';
+                // Anchored on the reading side, so in RTL it slides from the right
+                if (Utils.isRtl()) {
+                    indicator.style.left = '';
+                    indicator.style.right = (containerRect.right - tabRect.right) + 'px';
+                } else {
+                    indicator.style.right = '';
+                    indicator.style.left = leftPosition + 'px';
+                }
                 indicator.style.width = width + 'px';
             }
         },
@@ -634,7 +2381,11 @@
                     const y = e.clientY - rect.top - size / 2;
                     
                     ripple.style.width = ripple.style.height = size + 'px';
-                    ripple.style.left = x + 'px';
+                    if (Utils.isRtl()) {
+                        ripple.style.right = (rect.right - e.clientX - size / 2) + 'px';
+                    } else {
+                        ripple.style.left = x + 'px';
+                    }
                     ripple.style.top = y + 'px';
                     ripple.classList.add('ripple');
                     ripple.style.animation = 'ripple 0.25s ease-out'; // Very fast ripple
@@ -863,6 +2614,15 @@
                     padding: 12px 16px !important;
                 }
                 
+                /* Form validation states */
+                .form-field-error {
+                    border-color: var(--color-error) !important;
+                }
+                
+                .form-field-valid {
+                    border-color: var(--color-success) !important;
+                }
+                
                 /* Language switcher styles */
                 .language-switcher {
                     display: flex !important;
@@ -898,6 +2658,14 @@
             document.head.appendChild(style);
             
             document.body.appendChild(scrollToTopBtn);
+
+            // Bottom corner on the far side from where lines start
+            const placeScrollToTop = () => {
+                scrollToTopBtn.classList.toggle('right-6', !Utils.isRtl());
+                scrollToTopBtn.classList.toggle('left-6', Utils.isRtl());
+            };
+            placeScrollToTop();
+            document.addEventListener('gt:direction', placeScrollToTop);
             
             // Enhanced show/hide with progress indicator
             window.addEventListener('scroll', Utils.debounce(() => {
@@ -1207,7 +2975,8 @@
 
         setupKeyboardNavigation: function() {
             // Enhanced keyboard navigation for interactive elements
-            const interactiveElements = document.querySelectorAll('button, a, input, textarea, select');
+            // (text fields are left alone so Enter and Space keep their normal meaning)
+            const interactiveElements = document.querySelectorAll('button, a, input[type="checkbox"], input[type="radio"]');
             
             interactiveElements.forEach(element => {
                 element.addEventListener('keydown', function(e) {
@@ -1286,7 +3055,13 @@
         }
         
         // Initialize all enhancement modules
+        if (typeof I18n !== 'undefined') I18n.init();
+        if (typeof LocaleFormat !== 'undefined') LocaleFormat.init();
+        if (typeof Units !== 'undefined') Units.init();
         if (typeof NavigationEnhancement !== 'undefined') NavigationEnhancement.init();
+        if (typeof InquiryService !== 'undefined') InquiryService.init();
+        if (typeof OfflineQueue !== 'undefined') OfflineQueue.init();
+        if (typeof QuoteWizard !== 'undefined') QuoteWizard.init();
         if (typeof FormEnhancement !== 'undefined') FormEnhancement.init();
         if (typeof CardEnhancement !== 'undefined') CardEnhancement.init();
         if (typeof TabEnhancement !== 'undefined') TabEnhancement.init();
@@ -14,6 +14,23 @@
     var url_structure = gt.url_structure||'none';
     var custom_domains = gt.custom_domains||{};
 
+    // translation_mode 'self_hosted' (url_structure 'none' only): translations come from local JSON catalogs
+    // (<catalogs_location><lang>.json, sharing keys with the default language's catalog) instead of Google.
+    // Languages without a catalog still go through Google unless google_fallback is false.
+    var translation_mode = gt.translation_mode||'google';
+    var catalogs_location = gt.catalogs_location||'/assets/i18n/';
+    var catalog_languages = gt.catalog_languages||[];
+    var google_fallback = gt.google_fallback!==false;
+    var self_hosted = url_structure == 'none' && translation_mode == 'self_hosted';
+
+    // On a page that translates itself with I18n (assets/interactive-enhancements.js), self-hosted mode
+    // leaves the language state to I18n: a pick in the widget goes to I18n.setLanguage, the switcher
+    // follows i18n:change, and the widget never swaps text, sets <html lang> or its gt_lang cookie itself
+    var page_i18n = self_hosted && window.I18n && typeof window.I18n.setLanguage == 'function' ? window.I18n : null;
+    function i18n_handles(lang) {
+        return !!page_i18n && page_i18n.languages.indexOf(lang) != -1;
+    }
+
     var horizontal_position = gt.horizontal_position||'inline';
     var vertical_position = gt.vertical_position||null;
 
@@ -22,8 +39,22 @@
     var wrapper_selector = gt.wrapper_selector||'.gtranslate_wrapper';
 
     var custom_css = gt.custom_css||'';
+    var picker_labels = Object.assign({dialog:'Select language', search:'Search languages', empty:'No languages found'}, gt.picker_labels);
     var lang_array = native_language_names?lang_array_native:lang_array_english;
 
+    function has_catalog(lang) {
+        return lang == default_language || catalog_languages.indexOf(lang) != -1 || i18n_handles(lang);
+    }
+
+    // languages written right to left (Hebrew is 'iw' in Google's codes)
+    var rtl_languages = ['ar','fa','ur','iw','he','ps','sd','yi'];
+    function is_rtl(lang) {
+        return rtl_languages.indexOf(lang) != -1;
+    }
+
+    if(self_hosted && !google_fallback)
+        languages = languages.filter(has_catalog);
+
     var u_class = '.gt_container-'+Array.from('popup'+wrapper_selector).reduce(function(h,c){return 0|(31*h+c.charCodeAt(0))},0).toString(36);
 
     var widget_code = '<!-- GTranslate: https://gtranslate.com -->';
@@ -81,6 +112,7 @@
     else if(flag_size == 48)
         font_size = 24, margin_right = 10;
     widget_css += u_class + " a.glink span{margin-right:"+margin_right+"px;font-size:"+font_size+"px;vertical-align:middle}";
+    widget_css += "[dir=rtl] " + u_class + " a.glink span{margin-right:0;margin-left:"+margin_right+"px}";
     widget_css += "a.glink img{vertical-align:middle;display:inline;border:0;padding:0;margin:0;opacity:0.8;height:auto}";
     widget_css += "a.glink:hover img{opacity:1}";
 
@@ -89,18 +121,25 @@
         var googtrans_matches = document.cookie.match('(^|;) ?googtrans=([^;]*)(;|$)');
         current_lang = googtrans_matches && googtrans_matches[2].split('/')[2] || current_lang;
     }
+    if(page_i18n) {
+        current_lang = page_i18n.startLanguage();
+    } else if(self_hosted) {
+        var gt_lang_matches = document.cookie.match('(^|;) ?gt_lang=([^;]*)(;|$)');
+        current_lang = gt_lang_matches && decodeURIComponent(gt_lang_matches[2]) || current_lang;
+    }
 
     if(!lang_array[current_lang])
         current_lang = default_language;
 
-    widget_code += '<a href="#" class="gt_switcher-popup glink nturl notranslate">';
+    widget_code += '<a href="#" class="gt_switcher-popup glink nturl notranslate" role="button" aria-haspopup="dialog" aria-expanded="false">';
 
     var arrow_down = '<span style="color:#666;font-size:8px;font-weight:bold;">&#9660;</span>';
     widget_code += '<img src="'+get_flag_src(current_lang)+'" height="'+flag_size+'" width="'+flag_size+'" alt="'+current_lang+'" /> <span>'+lang_array[current_lang]+'</span>'+arrow_down+'</a>';
 
     widget_code += '<div class="gt_black_overlay"></div>';
-    widget_code += '<div class="gt_white_content notranslate">';
-    widget_code += '<div class="gt_languages">';
+    widget_code += '<div class="gt_white_content notranslate" role="dialog" aria-modal="true" aria-label="'+picker_labels.dialog+'">';
+    widget_code += '<input type="search" class="gt_search" autocomplete="off" spellcheck="false" placeholder="'+picker_labels.search+'" aria-label="'+picker_labels.search+'">';
+    widget_code += '<div class="gt_languages" role="listbox" aria-label="'+picker_labels.dialog+'">';
 
     languages.forEach(function(lang) {
         var el_a = document.createElement('a');
@@ -108,6 +147,9 @@
         el_a.classList.add('glink', 'nturl');
         current_lang == lang && el_a.classList.add('gt-current-lang');
         el_a.setAttribute('data-gt-lang', lang);
+        el_a.setAttribute('role', 'option');
+        el_a.setAttribute('aria-selected', current_lang == lang ? 'true' : 'false');
+        el_a.setAttribute('tabindex', '-1');
 
         var el_img = document.createElement('img');
         el_img.height = el_img.width = flag_size;
@@ -120,7 +162,7 @@
         widget_code += el_a.outerHTML;
     });
 
-    widget_code += '</div></div>';
+    widget_code += '</div><div class="gt_no_results" role="status"></div></div>';
 
     var a_height = flag_style=='2d' ? 0.75 * flag_size + 21 : flag_size + 13;
     var a_width = flag_size + margin_right + font_size * 8;
@@ -136,8 +178,13 @@
 
     widget_css += '.gt_black_overlay{display:none;position:fixed;top:0%;left:0%;width:100%;height:100%;background-color:black;z-index:10000;-moz-opacity:0.8;opacity:.80;filter:alpha(opacity=80)}';
     widget_css += '.gt_white_content{display:none;position:fixed;top:50%;left:50%;width:'+popup_width+'px;height:'+popup_height+'px;margin:-'+(popup_height/2)+'px 0 0 -'+(popup_width/2)+'px;padding:6px 16px;background-color:white;color:black;z-index:19881205;overflow:auto;text-align:left}';
+    widget_css += '[dir=rtl] .gt_white_content{text-align:right;direction:rtl}';
     widget_css += '.gt_white_content a{display:block;padding:'+(flag_style=='2d'?10:6)+'px 0;border-bottom:1px solid #e7e7e7;white-space:nowrap;line-height:0;flex-basis:'+a_height+'px;box-sizing:border-box;}';
     widget_css += '.gt_white_content .gt_languages{display:flex;flex-flow:column wrap;max-height:'+Math.max(popup_height, a_height * Math.ceil(languages.length / popup_columns))+'px;overflow-x:hidden;}';
+    widget_css += '.gt_white_content .gt_search{display:block;width:100%;box-sizing:border-box;margin:6px 0 8px;padding:6px 8px;border:1px solid #ccc;border-radius:4px;font-size:14px;line-height:normal;color:black;background:white}';
+    widget_css += '.gt_white_content a:focus{outline:2px solid #1a73e8;outline-offset:-2px}';
+    widget_css += '.gt_white_content a.gt_pinned_last{border-bottom:2px solid #888}';
+    widget_css += '.gt_white_content .gt_no_results{display:none;padding:10px 0;color:#666;font-size:14px}';
     widget_css += '.gt_white_content::-webkit-scrollbar-track{background-color:#F5F5F5}';
     widget_css += '.gt_white_content::-webkit-scrollbar{width:5px}';
     widget_css += '.gt_white_content::-webkit-scrollbar-thumb{background-color:#888}';
@@ -160,65 +207,429 @@
 
     document.querySelectorAll(wrapper_selector).forEach(function(e){e.classList.add(u_class.substring(1));e.innerHTML+=widget_code});
 
-    var gt_popup_open = false;
+    // language picker: a modal dialog with a search box over a listbox of languages. Focus starts in the
+    // search box, arrow keys move through the visible languages, Tab stays inside, Escape closes and
+    // focus goes back to the switcher. The default and recently used languages are pinned first.
+    var gt_popup_open = false, gt_popup_opener = null;
+
+    function search_text(text) {return text.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');}
+
+    function get_recent_languages() {
+        try {return JSON.parse(localStorage.getItem('gt_recent_languages')) || [];} catch(e) {return [];}
+    }
+    function remember_language(lang) {
+        var recent = [lang].concat(get_recent_languages().filter(function(l){return l != lang})).slice(0, 3);
+        try {localStorage.setItem('gt_recent_languages', JSON.stringify(recent));} catch(e) {}
+    }
+
+    // the language the reader picked: with I18n on the page, its stored language once the reader picked one
+    // anywhere on the site; otherwise the widget's own pick, kept in localStorage with a cookie for when
+    // storage is blocked
+    function get_chosen_language() {
+        if(page_i18n && page_i18n.isChosen())
+            return page_i18n.getStored(page_i18n.storageKey, page_i18n.languages);
+
+        var chosen = null;
+        try {chosen = localStorage.getItem('gt_chosen_language');} catch(e) {}
+        if(chosen === null) {
+            var chosen_matches = document.cookie.match('(^|;) ?gt_chosen_language=([^;]*)(;|$)');
+            chosen = chosen_matches && decodeURIComponent(chosen_matches[2]);
+        }
+        return chosen;
+    }
+    function remember_chosen_language(lang) {
+        try {localStorage.setItem('gt_chosen_language', lang);} catch(e) {}
+        document.cookie = 'gt_chosen_language='+encodeURIComponent(lang)+';path=/;max-age=31536000';
+    }
+
+    // mark lang as the current language in the picker and show it on the switcher
+    function show_language(lang) {
+        document.querySelectorAll(u_class+' a[data-gt-lang]').forEach(function(e) {
+            var current = e.getAttribute('data-gt-lang') == lang;
+            e.classList.toggle('gt-current-lang', current);
+            e.setAttribute('aria-selected', current ? 'true' : 'false');
+        });
+        var el = document.querySelector(u_class+' a[data-gt-lang="'+lang+'"]');
+        if(!el) return;
+        el.querySelectorAll('img:not([src])').forEach(function(e){e.setAttribute('src', e.getAttribute('data-gt-lazy-src'))});
+        el.parentNode.parentNode.parentNode.querySelector('a.gt_switcher-popup').innerHTML=el.innerHTML+arrow_down;
+    }
+
+    function pin_favourites(popup) {
+        var list = popup.querySelector('.gt_languages');
+        var pinned = [default_language].concat(get_recent_languages()).filter(function(lang, i, all) {return all.indexOf(lang) == i && languages.indexOf(lang) != -1});
+        var option = function(lang) {return list.querySelector('a[data-gt-lang="'+lang+'"]')};
+
+        list.querySelectorAll('a.gt_pinned').forEach(function(e){e.classList.remove('gt_pinned', 'gt_pinned_last')});
+        languages.forEach(function(lang) {list.appendChild(option(lang))});
+        pinned.slice().reverse().forEach(function(lang) {
+            option(lang).classList.add('gt_pinned');
+            list.insertBefore(option(lang), list.firstChild);
+        });
+        if(pinned.length < languages.length)
+            option(pinned[pinned.length - 1]).classList.add('gt_pinned_last');
+    }
+
+    function visible_options(popup) {
+        return Array.from(popup.querySelectorAll('.gt_languages a[data-gt-lang]')).filter(function(e){return e.style.display != 'none'});
+    }
+
+    // roving tabindex: only the active option is in the tab order
+    function set_active_option(popup, option, focus) {
+        popup.querySelectorAll('.gt_languages a[data-gt-lang]').forEach(function(e){e.setAttribute('tabindex', '-1')});
+        if(!option) return;
+        option.setAttribute('tabindex', '0');
+        if(focus) option.focus();
+    }
+
+    // match English and native names and the code, ignoring case and accents ("espa" finds Español, "deu" Deutsch)
+    function filter_languages(popup, query) {
+        query = search_text(query.trim());
+        popup.querySelectorAll('.gt_languages a[data-gt-lang]').forEach(function(e) {
+            var lang = e.getAttribute('data-gt-lang');
+            var match = !query || [lang, lang_array_english[lang], lang_array_native[lang]].some(function(name) {return name && search_text(name).indexOf(query) != -1});
+            e.style.display = match ? '' : 'none';
+        });
+
+        var options = visible_options(popup), empty = popup.querySelector('.gt_no_results');
+        empty.textContent = options.length ? '' : picker_labels.empty;
+        empty.style.display = options.length ? 'none' : 'block';
+        set_active_option(popup, options.filter(function(e){return e.classList.contains('gt-current-lang')})[0] || options[0], false);
+    }
+
     function gt_show_popup(el) {
+        var popup = el.parentNode.querySelector('.gt_white_content');
+        var search = popup.querySelector('.gt_search');
+
         gt_popup_open = true;
+        gt_popup_opener = el;
         el.parentNode.querySelectorAll('.gt_white_content a img:not([src])').forEach(function(img) {img.setAttribute('src', img.getAttribute('data-gt-lazy-src'));});
         el.parentNode.querySelectorAll('.gt_white_content,.gt_black_overlay').forEach(function(e){e.style.display='block';});
+        el.setAttribute('aria-expanded', 'true');
+
+        pin_favourites(popup);
+        search.value = '';
+        filter_languages(popup, '');
+        popup.scrollTop = 0;
+        search.focus();
+    }
+    function gt_hide_popup() {
+        gt_popup_open = false;
+        document.querySelectorAll('.gt_white_content,.gt_black_overlay').forEach(function(e){e.style.display='none'});
+        document.querySelectorAll(u_class+' a.gt_switcher-popup').forEach(function(e){e.setAttribute('aria-expanded', 'false')});
+        if(gt_popup_opener) {
+            gt_popup_opener.focus();
+            gt_popup_opener = null;
+        }
+    }
+
+    function picker_keydown(popup, evt) {
+        var search = popup.querySelector('.gt_search');
+        var options = visible_options(popup);
+        var index = options.indexOf(document.activeElement);
+        var rtl = document.documentElement.getAttribute('dir') == 'rtl';
+        var step = {ArrowDown: 1, ArrowUp: -1, ArrowRight: rtl ? -1 : 1, ArrowLeft: rtl ? 1 : -1}[evt.key];
+
+        if(evt.key == 'Escape') {
+            evt.preventDefault();
+            gt_hide_popup();
+        } else if(evt.key == 'Tab') {
+            var focusable = [search].concat(options.filter(function(e){return e.getAttribute('tabindex') == '0'}));
+            var at = focusable.indexOf(document.activeElement);
+            evt.preventDefault();
+            focusable[(at + (evt.shiftKey ? -1 : 1) + focusable.length) % focusable.length].focus();
+        } else if(step && (index != -1 || evt.key == 'ArrowDown')) {
+            // left/right move the caret while in the search box
+            evt.preventDefault();
+            if(index + step < 0)
+                search.focus();
+            else if(options.length)
+                set_active_option(popup, options[Math.min(index + step, options.length - 1)], true);
+        } else if(index != -1 && (evt.key == 'Home' || evt.key == 'End')) {
+            evt.preventDefault();
+            set_active_option(popup, options[evt.key == 'Home' ? 0 : options.length - 1], true);
+        } else if(index != -1 && evt.key == ' ') {
+            evt.preventDefault();
+            options[index].click();
+        } else if(index != -1 && evt.key.length == 1 && !evt.ctrlKey && !evt.metaKey && !evt.altKey) {
+            // typing on the list goes on in the search box
+            evt.preventDefault();
+            search.value += evt.key;
+            search.focus();
+            filter_languages(popup, search.value);
+        }
     }
-    function gt_hide_popup() {gt_popup_open=false;document.querySelectorAll('.gt_white_content,.gt_black_overlay').forEach(function(e){e.style.display='none'});}
 
     document.querySelectorAll(u_class+' a.gt_switcher-popup').forEach(function(e){
         e.addEventListener('click', function(evt) {evt.preventDefault();evt.stopPropagation();if(gt_popup_open)gt_hide_popup();else gt_show_popup(e);});
+        e.addEventListener('keydown', function(evt) {if(evt.key == ' '){evt.preventDefault();e.click();}});
         e.addEventListener('pointerenter', function(evt) {evt.target.parentNode.querySelectorAll('.gt_languages img:not([src])').forEach(function(img){img.setAttribute('src', img.getAttribute('data-gt-lazy-src'))})});
     });
     document.querySelectorAll(u_class+' .gt_black_overlay').forEach(function(e){e.addEventListener('click', function(evt) {if(gt_popup_open)gt_hide_popup()})});
+    document.querySelectorAll(u_class+' .gt_white_content').forEach(function(popup) {
+        var search = popup.querySelector('.gt_search');
+        search.addEventListener('input', function() {filter_languages(popup, search.value)});
+        popup.addEventListener('keydown', function(evt) {picker_keydown(popup, evt)});
+        popup.querySelectorAll('a[data-gt-lang]').forEach(function(e) {
+            e.addEventListener('click', function() {
+                remember_language(e.getAttribute('data-gt-lang'));
+                if(!i18n_handles(e.getAttribute('data-gt-lang'))) remember_chosen_language(e.getAttribute('data-gt-lang'));
+                popup.querySelectorAll('a[data-gt-lang]').forEach(function(option){option.setAttribute('aria-selected', option == e ? 'true' : 'false')});
+            });
+        });
+    });
+
+    // Lay the page out right to left for RTL languages: dir on <html>, the fixed switcher moved to the
+    // other side, and a 'gt:direction' event ({lang, dir}) for page scripts that position things themselves
+    function set_direction(lang) {
+        var dir = is_rtl(lang) ? 'rtl' : 'ltr';
+        if(document.documentElement.getAttribute('dir') == dir || (dir == 'ltr' && !document.documentElement.hasAttribute('dir'))) return;
+
+        document.documentElement.setAttribute('dir', dir);
+        if(horizontal_position == 'left' || horizontal_position == 'right') {
+            var mirrored = horizontal_position == 'left' ? 'right' : 'left';
+            document.querySelectorAll(u_class+' .gt_switcher_wrapper').forEach(function(e) {
+                e.style[dir == 'rtl' ? horizontal_position : mirrored] = '';
+                e.style[dir == 'rtl' ? mirrored : horizontal_position] = '15px';
+            });
+        }
+        document.dispatchEvent(new CustomEvent('gt:direction', {detail: {lang: lang, dir: dir}}));
+    }
+    set_direction(current_lang);
+
+    // self-hosted translation: swap text nodes and attributes using the local catalogs
+    var translated_attributes = ['placeholder', 'title', 'alt', 'aria-label'];
+    var catalog_requests = {};
+    var swapped_text = new WeakMap(), swapped_attributes = new WeakMap();
+    var active_dictionary = null, gt_observer = null;
+
+    function normalize_text(text) {return text.replace(/\s+/g, ' ').trim();}
+
+    function load_catalog(lang) {
+        if(!catalog_requests[lang])
+            catalog_requests[lang] = fetch(catalogs_location+lang+'.json').then(function(response) {
+                if(!response.ok) throw new Error('GTranslate: no catalog for '+lang);
+                return response.json();
+            });
+        return catalog_requests[lang];
+    }
+
+    // Catalogs share keys, so the default-language text of each key is what gets looked up on the page
+    function build_dictionary(source, target) {
+        var dictionary = {};
+        Object.keys(target).forEach(function(key) {
+            if(typeof source[key] == 'string' && typeof target[key] == 'string')
+                dictionary[normalize_text(source[key])] = target[key];
+        });
+        return dictionary;
+    }
+
+    // Translate (or, with no dictionary, restore) one value; anything changed by other scripts since is left alone
+    function swap_value(store, owner, name, current, dictionary) {
+        var swapped = store.get(owner) || {};
+        var entry = swapped[name];
+        var original = entry && entry.translated == current ? entry.original : current;
+        var translation = dictionary && dictionary[normalize_text(original)];
+
+        if(translation) {
+            var edges = original.match(/^(\s*)[\s\S]*?(\s*)$/);
+            swapped[name] = {original: original, translated: edges[1] + translation + edges[2]};
+            store.set(owner, swapped);
+            return swapped[name].translated;
+        }
+        delete swapped[name];
+        return original;
+    }
+
+    function translate_tree(root, dictionary) {
+        var skip = 'script,style,noscript,textarea,.notranslate';
+        if(root.nodeType == 3) {
+            if(!root.parentNode || !root.parentNode.closest(skip)) root.nodeValue = swap_value(swapped_text, root, 'text', root.nodeValue, dictionary);
+            return;
+        }
+        if(root.nodeType != 1 || root.closest(skip)) return;
+
+        var walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT|NodeFilter.SHOW_ELEMENT, {acceptNode: function(node) {
+            if(node.nodeType == 1) return node.matches(skip) ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_SKIP;
+            return node.nodeValue.trim() ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_SKIP;
+        }});
+        var node, text_nodes = [];
+        while((node = walker.nextNode())) text_nodes.push(node);
+        text_nodes.forEach(function(text_node) {
+            var value = swap_value(swapped_text, text_node, 'text', text_node.nodeValue, dictionary);
+            if(value != text_node.nodeValue) text_node.nodeValue = value;
+        });
+
+        [root].concat(Array.from(root.querySelectorAll('[' + translated_attributes.join('],[') + ']'))).forEach(function(el) {
+            if(el.closest(skip)) return;
+            translated_attributes.forEach(function(name) {
+                if(!el.hasAttribute(name)) return;
+                var value = swap_value(swapped_attributes, el, name, el.getAttribute(name), dictionary);
+                if(value != el.getAttribute(name)) el.setAttribute(name, value);
+            });
+        });
+    }
+
+    function apply_catalog(lang) {
+        set_direction(lang);
+        if(lang == default_language) {
+            active_dictionary = null;
+            translate_tree(document.body, null);
+            document.documentElement.setAttribute('lang', default_language);
+            return Promise.resolve();
+        }
+
+        return Promise.all([load_catalog(default_language), load_catalog(lang)]).then(function(catalogs) {
+            active_dictionary = build_dictionary(catalogs[0], catalogs[1]);
+            translate_tree(document.body, active_dictionary);
+            document.documentElement.setAttribute('lang', lang);
+
+            // Content added later (dialogs, notices, lazy sections) is translated as it appears
+            if(!gt_observer) {
+                gt_observer = new MutationObserver(function(mutations) {
+                    if(!active_dictionary) return;
+                    mutations.forEach(function(mutation) {mutation.addedNodes.forEach(function(node) {translate_tree(node, active_dictionary)})});
+                });
+                gt_observer.observe(document.body, {childList: true, subtree: true});
+            }
+        });
+    }
+
+    function gt_switch_language(lang) {
+        var google_active = (document.cookie.match('(^|;) ?googtrans=/[^/;]*/([^;]*)(;|$)') || [])[2];
+        document.cookie = 'gt_lang='+encodeURIComponent(lang)+';path=/;max-age=31536000';
+
+        if(has_catalog(lang)) {
+            // Google rewrites the page it translated; start again from the original text
+            if(google_active && google_active != default_language) {
+                document.cookie = 'googtrans=;path=/;expires=Thu, 01 Jan 1970 00:00:00 GMT';
+                document.cookie = 'googtrans=;path=/;domain='+location.hostname+';expires=Thu, 01 Jan 1970 00:00:00 GMT';
+                location.reload();
+                return;
+            }
+            apply_catalog(lang).catch(function(error) {
+                console.error(error);
+                if(google_fallback) gt_switch_to_google(lang);
+            });
+        } else if(google_fallback) {
+            gt_switch_to_google(lang);
+        }
+    }
+
+    function gt_switch_to_google(lang) {
+        apply_catalog(default_language);
+        load_tlib();
+        doGTranslate(default_language+'|'+lang);
+    }
 
     if(url_structure == 'none') {
         function get_current_lang() {var keyValue = document.cookie.match('(^|;) ?googtrans=([^;]*)(;|$)');return keyValue ? keyValue[2].split('/')[2] : null;}
         function fire_event(element,event){try{if(document.createEventObject){var evt=document.createEventObject();element.fireEvent('on'+event,evt)}else{var evt=document.createEvent('HTMLEvents');evt.initEvent(event,true,true);element.dispatchEvent(evt)}}catch(e){}}
         function load_tlib(){if(!window.gt_translate_script){window.gt_translate_script=document.createElement('script');gt_translate_script.src='https://translate.google.com/translate_a/element.js?cb=googleTranslateElementInit2';document.body.appendChild(gt_translate_script);}}
-        window.doGTranslate = function(lang_pair){if(lang_pair.value)lang_pair=lang_pair.value;if(lang_pair=='')return;var lang=lang_pair.split('|')[1];if(get_current_lang() == null && lang == lang_pair.split('|')[0])return;var teCombo;var sel=document.getElementsByTagName('select');for(var i=0;i<sel.length;i++)if(sel[i].className.indexOf('goog-te-combo')!=-1){teCombo=sel[i];break;}if(document.getElementById('google_translate_element2')==null||document.getElementById('google_translate_element2').innerHTML.length==0||teCombo.length==0||teCombo.innerHTML.length==0){setTimeout(function(){doGTranslate(lang_pair)},500)}else{teCombo.value=lang;fire_event(teCombo,'change');fire_event(teCombo,'change')}}
+        window.doGTranslate = function(lang_pair){if(lang_pair.value)lang_pair=lang_pair.value;if(lang_pair=='')return;var lang=lang_pair.split('|')[1];set_direction(lang);if(get_current_lang() == null && lang == lang_pair.split('|')[0])return;var teCombo;var sel=document.getElementsByTagName('select');for(var i=0;i<sel.length;i++)if(sel[i].className.indexOf('goog-te-combo')!=-1){teCombo=sel[i];break;}if(document.getElementById('google_translate_element2')==null||document.getElementById('google_translate_element2').innerHTML.length==0||teCombo.length==0||teCombo.innerHTML.length==0){setTimeout(function(){doGTranslate(lang_pair)},500)}else{teCombo.value=lang;fire_event(teCombo,'change');fire_event(teCombo,'change')}}
         window.googleTranslateElementInit2=function(){new google.translate.TranslateElement({pageLanguage:default_language,autoDisplay:false},'google_translate_element2')};
 
-        if(current_lang != default_language)
+        if(self_hosted) {
+            // I18n applies its stored language itself when the page loads
+            if(current_lang != default_language && !page_i18n)
+                gt_switch_language(current_lang);
+            else if(google_fallback && languages.some(function(lang){return !has_catalog(lang)}))
+                document.querySelectorAll(u_class).forEach(function(e){e.addEventListener('pointerenter',load_tlib)});
+        } else if(current_lang != default_language)
             load_tlib();
         else
             document.querySelectorAll(u_class).forEach(function(e){e.addEventListener('pointerenter',load_tlib)});
 
         document.querySelectorAll(u_class + ' a[data-gt-lang]').forEach(function(e){e.addEventListener('click', function(evt) {
             evt.preventDefault();
+            if(i18n_handles(e.getAttribute('data-gt-lang'))) {
+                // the switcher follows the i18n:change that I18n dispatches
+                gt_hide_popup();
+                page_i18n.setLanguage(e.getAttribute('data-gt-lang'));
+                return;
+            }
             document.querySelectorAll(u_class + ' a.gt-current-lang').forEach(function(e){e.classList.remove('gt-current-lang')});
             e.classList.add('gt-current-lang');
-            doGTranslate(default_language+'|'+e.getAttribute('data-gt-lang'));
+            if(self_hosted)
+                gt_switch_language(e.getAttribute('data-gt-lang'));
+            else
+                doGTranslate(default_language+'|'+e.getAttribute('data-gt-lang'));
             e.parentNode.parentNode.parentNode.querySelector('a.gt_switcher-popup').innerHTML=e.innerHTML+arrow_down;
             gt_hide_popup();
         })});
+
+        if(page_i18n)
+            document.addEventListener('i18n:change', function(evt) {
+                set_direction(evt.detail.language);
+                show_language(evt.detail.language);
+            });
     }
 
-    if(detect_browser_language && window.sessionStorage && window.navigator && sessionStorage.getItem('gt_autoswitch') == null && !/bot|spider|slurp|facebook/i.test(navigator.userAgent)) {
-        var accept_language = (navigator.language||navigator.userLanguage).toLowerCase();
-        switch(accept_language) {
-            case 'zh':
-            case 'zh-cn':var preferred_language = 'zh-CN';break;
-            case 'zh-tw':
-            case 'zh-hk':var preferred_language = 'zh-TW';break;
-            case 'he':var preferred_language = 'iw';break;
-            default:var preferred_language = accept_language.substr(0,2);break;
+    // Match one BCP 47 tag (sr-Latn-RS, pt-BR, zh-HK) to the configured languages: the full tag, then
+    // language with region or script, then the language alone; Google's codes differ in a few places
+    var google_codes = {he:'iw', jv:'jw', nb:'no', nn:'no', fil:'tl'};
+    function match_language(tag) {
+        var parts = String(tag).replace(/_/g, '-').toLowerCase().split('-');
+        var base = google_codes[parts[0]] || parts[0];
+        var subtags = parts.slice(1);
+        var candidates = [parts.join('-')];
+
+        if(base == 'zh')
+            candidates.push(subtags.some(function(p){return ['hant','tw','hk','mo'].indexOf(p) != -1}) ? 'zh-tw' : 'zh-cn');
+        subtags.forEach(function(subtag){candidates.push(base+'-'+subtag)});
+        candidates.push(base);
+
+        for(var i = 0; i < candidates.length; i++) {
+            for(var j = 0; j < languages.length; j++) {
+                if(languages[j].toLowerCase() == candidates[i])
+                    return languages[j];
+            }
         }
+        // a configured regional variant of the language, e.g. pt -> pt-BR
+        return languages.filter(function(lang){return lang.toLowerCase().indexOf(base+'-') == 0})[0] || null;
+    }
 
-        if(current_lang == default_language && preferred_language != default_language && languages.includes(preferred_language)) {
-            if(url_structure == 'none') {
-                load_tlib();
-                window.gt_translate_script.onload=function(){
-                    doGTranslate(default_language+'|'+preferred_language);
-                    var el = document.querySelector(u_class+' a[data-gt-lang="'+preferred_language+'"]');
-                    el.querySelectorAll('img:not([src])').forEach(function(e){e.setAttribute('src', e.getAttribute('data-gt-lazy-src'))});
-                    el.parentNode.parentNode.parentNode.querySelector('a.gt_switcher-popup').innerHTML=el.innerHTML+arrow_down;
-                };
-            } else
-                document.querySelectorAll(u_class+' a[data-gt-lang="'+preferred_language+'"]').forEach(function(e){location.href=e.href});
+    // first of the browser's languages, in the reader's order of preference, that the widget offers
+    function negotiate_language(preferred) {
+        for(var i = 0; i < preferred.length; i++) {
+            var lang = match_language(preferred[i]);
+            if(lang) return lang;
         }
+        return null;
+    }
+
+    function switch_to(lang) {
+        if(i18n_handles(lang)) {
+            // after I18n has applied the stored language, so that load does not override this one
+            var detected = function() {page_i18n.setLanguage(lang, {chosen: false})};
+            if(document.readyState == 'loading')
+                document.addEventListener('DOMContentLoaded', detected);
+            else
+                detected();
+        } else if(self_hosted) {
+            gt_switch_language(lang);
+            show_language(lang);
+        } else if(url_structure == 'none') {
+            load_tlib();
+            window.gt_translate_script.onload=function(){
+                doGTranslate(default_language+'|'+lang);
+                show_language(lang);
+            };
+        } else
+            document.querySelectorAll(u_class+' a[data-gt-lang="'+lang+'"]').forEach(function(e){location.href=e.href});
+    }
+
+    // The reader's own pick wins over detection on every later visit; picking the default language
+    // switches detection off too
+    var chosen_language = get_chosen_language();
+    if(chosen_language && languages.indexOf(chosen_language) != -1) {
+        if(current_lang == default_language && chosen_language != default_language)
+            switch_to(chosen_language);
+    } else if(detect_browser_language && window.sessionStorage && window.navigator && sessionStorage.getItem('gt_autoswitch') == null && !/bot|spider|slurp|facebook/i.test(navigator.userAgent)) {
+        var preferred_language = negotiate_language(navigator.languages && navigator.languages.length ? navigator.languages : [navigator.language||navigator.userLanguage]);
+
+        if(current_lang == default_language && preferred_language && preferred_language != default_language)
+            switch_to(preferred_language);
 
         sessionStorage.setItem('gt_autoswitch', 1);
     }
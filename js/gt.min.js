@@ -1 +1 @@
-!function(){var gt=window.gtranslateSettings||{},lang_array_english={af:"Afrikaans",sq:"Albanian",am:"Amharic",ar:"Arabic",hy:"Armenian",az:"Azerbaijani",eu:"Basque",be:"Belarusian",bn:"Bengali",bs:"Bosnian",bg:"Bulgarian",ca:"Catalan",ceb:"Cebuano",ny:"Chichewa","zh-CN":"Chinese (Simplified)","zh-TW":"Chinese (Traditional)",co:"Corsican",hr:"Croatian",cs:"Czech",da:"Danish",nl:"Dutch",en:"English",eo:"Esperanto",et:"Estonian",tl:"Filipino",fi:"Finnish",fr:"French",fy:"Frisian",gl:"Galician",ka:"Georgian",de:"German",el:"Greek",gu:"Gujarati",ht:"Haitian Creole",ha:"Hausa",haw:"Hawaiian",iw:"Hebrew",hi:"Hindi",hmn:"Hmong",hu:"Hungarian",is:"Icelandic",ig:"Igbo",id:"Indonesian",ga:"Irish",it:"Italian",ja:"Japanese",jw:"Javanese",kn:"Kannada",kk:"Kazakh",km:"Khmer",ko:"Korean",ku:"Kurdish (Kurmanji)",ky:"Kyrgyz",lo:"Lao",la:"Latin",lv:"Latvian",lt:"Lithuanian",lb:"Luxembourgish",mk:"Macedonian",mg:"Malagasy",ms:"Malay",ml:"Malayalam",mt:"Maltese",mi:"Maori",mr:"Marathi",mn:"Mongolian",my:"Myanmar (Burmese)",ne:"Nepali",no:"Norwegian",ps:"Pashto",fa:"Persian",pl:"Polish",pt:"Portuguese",pa:"Punjabi",ro:"Romanian",ru:"Russian",sm:"Samoan",gd:"Scottish Gaelic",sr:"Serbian",st:"Sesotho",sn:"Shona",sd:"Sindhi",si:"Sinhala",sk:"Slovak",sl:"Slovenian",so:"Somali",es:"Spanish",su:"Sundanese",sw:"Swahili",sv:"Swedish",tg:"Tajik",ta:"Tamil",te:"Telugu",th:"Thai",tr:"Turkish",uk:"Ukrainian",ur:"Urdu",uz:"Uzbek",vi:"Vietnamese",cy:"Welsh",xh:"Xhosa",yi:"Yiddish",yo:"Yoruba",zu:"Zulu"},default_language=(gt=gt[document.currentScript.getAttribute("data-gt-widget-id")]||gt).default_language||"auto",languages=gt.languages||Object.keys(lang_array_english).sort((function(x,y){return x==default_language?-1:y==default_language?1:0})),alt_flags=gt.alt_flags||{},flag_size=gt.flag_size||32,flag_style=gt.flag_style||"2d",flags_location=gt.flags_location||"https://cdn.gtranslate.net/flags/",url_structure=gt.url_structure||"none",custom_domains=gt.custom_domains||{},horizontal_position=gt.horizontal_position||"inline",vertical_position=gt.vertical_position||null,native_language_names=gt.native_language_names||!1,detect_browser_language=gt.detect_browser_language||!1,wrapper_selector=gt.wrapper_selector||".gtranslate_wrapper",custom_css=gt.custom_css||"",lang_array=native_language_names?{af:"Afrikaans",sq:"Shqip",am:"አማርኛ",ar:"العربية",hy:"Հայերեն",az:"Azərbaycan dili",eu:"Euskara",be:"Беларуская мова",bn:"বাংলা",bs:"Bosanski",bg:"Български",ca:"Català",ceb:"Cebuano",ny:"Chichewa","zh-CN":"简体中文","zh-TW":"繁體中文",co:"Corsu",hr:"Hrvatski",cs:"Čeština‎",da:"Dansk",nl:"Nederlands",en:"English",eo:"Esperanto",et:"Eesti",tl:"Filipino",fi:"Suomi",fr:"Français",fy:"Frysk",gl:"Galego",ka:"ქართული",de:"Deutsch",el:"Ελληνικά",gu:"ગુજરાતી",ht:"Kreyol ayisyen",ha:"Harshen Hausa",haw:"Ōlelo Hawaiʻi",iw:"עִבְרִית",hi:"हिन्दी",hmn:"Hmong",hu:"Magyar",is:"Íslenska",ig:"Igbo",id:"Bahasa Indonesia",ga:"Gaeilge",it:"Italiano",ja:"日本語",jw:"Basa Jawa",kn:"ಕನ್ನಡ",kk:"Қазақ тілі",km:"ភាសាខ្មែរ",ko:"한국어",ku:"كوردی‎",ky:"Кыргызча",lo:"ພາສາລາວ",la:"Latin",lv:"Latviešu valoda",lt:"Lietuvių kalba",lb:"Lëtzebuergesch",mk:"Македонски јазик",mg:"Malagasy",ms:"Bahasa Melayu",ml:"മലയാളം",mt:"Maltese",mi:"Te Reo Māori",mr:"मराठी",mn:"Монгол",my:"ဗမာစာ",ne:"नेपाली",no:"Norsk bokmål",ps:"پښتو",fa:"فارسی",pl:"Polski",pt:"Português",pa:"ਪੰਜਾਬੀ",ro:"Română",ru:"Русский",sm:"Samoan",gd:"Gàidhlig",sr:"Српски језик",st:"Sesotho",sn:"Shona",sd:"سنڌي",si:"සිංහල",sk:"Slovenčina",sl:"Slovenščina",so:"Afsoomaali",es:"Español",su:"Basa Sunda",sw:"Kiswahili",sv:"Svenska",tg:"Тоҷикӣ",ta:"தமிழ்",te:"తెలుగు",th:"ไทย",tr:"Türkçe",uk:"Українська",ur:"اردو",uz:"O‘zbekcha",vi:"Tiếng Việt",cy:"Cymraeg",xh:"isiXhosa",yi:"יידיש",yo:"Yorùbá",zu:"Zulu"}:lang_array_english,u_class=".gt_container-"+Array.from("popup"+wrapper_selector).reduce((function(h,c){return 0|31*h+c.charCodeAt(0)}),0).toString(36),widget_code="\x3c!-- GTranslate: https://gtranslate.com --\x3e",widget_css=custom_css;flags_location+=("3d"==flag_style?flag_size:"svg")+"/";var flag_ext="3d"==flag_style?".png":".svg";function get_flag_src(lang){return alt_flags[lang]?"usa"==alt_flags[lang]?flags_location+"en-us"+flag_ext:"canada"==alt_flags[lang]?flags_location+"en-ca"+flag_ext:"brazil"==alt_flags[lang]?flags_location+"pt-br"+flag_ext:"mexico"==alt_flags[lang]?flags_location+"es-mx"+flag_ext:"argentina"==alt_flags[lang]?flags_location+"es-ar"+flag_ext:"colombia"==alt_flags[lang]?flags_location+"es-co"+flag_ext:"quebec"==alt_flags[lang]?flags_location+"fr-qc"+flag_ext:alt_flags[lang]:flags_location+lang+flag_ext}widget_css+="a.glink{text-decoration:none}a.glink.gt-current-lang{font-weight:bold}";var font_size=10,margin_right=3;24==flag_size?(font_size=15,margin_right=5):32==flag_size?(font_size=20,margin_right=7):48==flag_size&&(font_size=24,margin_right=10),widget_css+=u_class+" a.glink span{margin-right:"+margin_right+"px;font-size:"+font_size+"px;vertical-align:middle}",widget_css+="a.glink img{vertical-align:middle;display:inline;border:0;padding:0;margin:0;opacity:0.8;height:auto}",widget_css+="a.glink:hover img{opacity:1}";var current_lang=document.querySelector("html").getAttribute("lang")||default_language;if("none"==url_structure){var googtrans_matches=document.cookie.match("(^|;) ?googtrans=([^;]*)(;|$)");current_lang=googtrans_matches&&googtrans_matches[2].split("/")[2]||current_lang}lang_array[current_lang]||(current_lang=default_language),widget_code+='<a href="#" class="gt_switcher-popup glink nturl notranslate">';var arrow_down='<span style="color:#666;font-size:8px;font-weight:bold;">&#9660;</span>';widget_code+='<img src="'+get_flag_src(current_lang)+'" height="'+flag_size+'" width="'+flag_size+'" alt="'+current_lang+'" /> <span>'+lang_array[current_lang]+"</span>"+arrow_down+"</a>",widget_code+='<div class="gt_black_overlay"></div>',widget_code+='<div class="gt_white_content notranslate">',widget_code+='<div class="gt_languages">',languages.forEach((function(lang){var el_a=document.createElement("a");el_a.href=function(lang){var href="#";if("sub_directory"==url_structure){var gt_request_uri=(document.currentScript.getAttribute("data-gt-orig-url")||location.pathname.startsWith("/"+current_lang+"/")&&"/"+location.pathname.split("/").slice(2).join("/")||location.pathname)+location.search+location.hash;href=lang==default_language&&location.protocol+"//"+location.hostname+gt_request_uri||location.protocol+"//"+location.hostname+"/"+lang+gt_request_uri}else if("sub_domain"==url_structure){gt_request_uri=(document.currentScript.getAttribute("data-gt-orig-url")||location.pathname)+location.search+location.hash;var domain=document.currentScript.getAttribute("data-gt-orig-domain")||location.hostname;href="object"==typeof custom_domains&&custom_domains[lang]?lang==default_language&&location.protocol+"//"+domain+gt_request_uri||location.protocol+"//"+custom_domains[lang]+gt_request_uri:lang==default_language&&location.protocol+"//"+domain+gt_request_uri||location.protocol+"//"+lang+"."+domain.replace(/^www\./,"")+gt_request_uri}return href}(lang),el_a.classList.add("glink","nturl"),current_lang==lang&&el_a.classList.add("gt-current-lang"),el_a.setAttribute("data-gt-lang",lang);var el_img=document.createElement("img");el_img.height=el_img.width=flag_size,el_img.alt=lang,el_img.setAttribute("data-gt-lazy-src",get_flag_src(lang)),el_a.appendChild(el_img),el_a.innerHTML+=" <span>"+lang_array[lang]+"</span>",widget_code+=el_a.outerHTML})),widget_code+="</div></div>";for(var a_height="2d"==flag_style?.75*flag_size+21:flag_size+13,a_width=flag_size+margin_right+8*font_size,popup_height=Math.min(375,languages.length*a_height+12),popup_width=Math.min(980,.8*window.innerWidth),popup_columns=Math.floor(popup_width/a_width),langs_per_col=Math.floor(popup_height/a_height);popup_columns>1&&Math.floor(langs_per_col*popup_columns/languages.length)>1;)popup_width=--popup_columns*a_width+32;widget_css+=".gt_black_overlay{display:none;position:fixed;top:0%;left:0%;width:100%;height:100%;background-color:black;z-index:10000;-moz-opacity:0.8;opacity:.80;filter:alpha(opacity=80)}",widget_css+=".gt_white_content{display:none;position:fixed;top:50%;left:50%;width:"+popup_width+"px;height:"+popup_height+"px;margin:-"+popup_height/2+"px 0 0 -"+popup_width/2+"px;padding:6px 16px;background-color:white;color:black;z-index:19881205;overflow:auto;text-align:left}",widget_css+=".gt_white_content a{display:block;padding:"+("2d"==flag_style?10:6)+"px 0;border-bottom:1px solid #e7e7e7;white-space:nowrap;line-height:0;flex-basis:"+a_height+"px;box-sizing:border-box;}",widget_css+=".gt_white_content .gt_languages{display:flex;flex-flow:column wrap;max-height:"+Math.max(popup_height,a_height*Math.ceil(languages.length/popup_columns))+"px;overflow-x:hidden;}",widget_css+=".gt_white_content::-webkit-scrollbar-track{background-color:#F5F5F5}",widget_css+=".gt_white_content::-webkit-scrollbar{width:5px}",widget_css+=".gt_white_content::-webkit-scrollbar-thumb{background-color:#888}","none"==url_structure&&(widget_code+='<div id="google_translate_element2"></div>',widget_css+="div.skiptranslate,#google_translate_element2{display:none!important}",widget_css+="body{top:0!important}",widget_css+="font font{background-color:transparent!important;box-shadow:none!important;position:initial!important}"),"inline"!=horizontal_position&&(widget_code='<div class="gt_switcher_wrapper" style="position:fixed;'+vertical_position+":15px;"+horizontal_position+':15px;z-index:999999;">'+widget_code+"</div>");var add_css=document.createElement("style");add_css.classList.add("gtranslate_css"),add_css.textContent=widget_css,document.head.appendChild(add_css),document.querySelectorAll(wrapper_selector).forEach((function(e){e.classList.add(u_class.substring(1)),e.innerHTML+=widget_code}));var gt_popup_open=!1;function gt_hide_popup(){gt_popup_open=!1,document.querySelectorAll(".gt_white_content,.gt_black_overlay").forEach((function(e){e.style.display="none"}))}if(document.querySelectorAll(u_class+" a.gt_switcher-popup").forEach((function(e){e.addEventListener("click",(function(evt){var el;evt.preventDefault(),evt.stopPropagation(),gt_popup_open?gt_hide_popup():(gt_popup_open=!0,(el=e).parentNode.querySelectorAll(".gt_white_content a img:not([src])").forEach((function(img){img.setAttribute("src",img.getAttribute("data-gt-lazy-src"))})),el.parentNode.querySelectorAll(".gt_white_content,.gt_black_overlay").forEach((function(e){e.style.display="block"})))})),e.addEventListener("pointerenter",(function(evt){evt.target.parentNode.querySelectorAll(".gt_languages img:not([src])").forEach((function(img){img.setAttribute("src",img.getAttribute("data-gt-lazy-src"))}))}))})),document.querySelectorAll(u_class+" .gt_black_overlay").forEach((function(e){e.addEventListener("click",(function(evt){gt_popup_open&&gt_hide_popup()}))})),"none"==url_structure){function fire_event(element,event){try{if(document.createEventObject){var evt=document.createEventObject();element.fireEvent("on"+event,evt)}else{(evt=document.createEvent("HTMLEvents")).initEvent(event,!0,!0),element.dispatchEvent(evt)}}catch(e){}}function load_tlib(){window.gt_translate_script||(window.gt_translate_script=document.createElement("script"),gt_translate_script.src="https://translate.google.com/translate_a/element.js?cb=googleTranslateElementInit2",document.body.appendChild(gt_translate_script))}window.doGTranslate=function(lang_pair){if(lang_pair.value&&(lang_pair=lang_pair.value),""!=lang_pair){var lang=lang_pair.split("|")[1];if(null!=((keyValue=document.cookie.match("(^|;) ?googtrans=([^;]*)(;|$)"))?keyValue[2].split("/")[2]:null)||lang!=lang_pair.split("|")[0]){for(var keyValue,teCombo,sel=document.getElementsByTagName("select"),i=0;i<sel.length;i++)if(-1!=sel[i].className.indexOf("goog-te-combo")){teCombo=sel[i];break}null==document.getElementById("google_translate_element2")||0==document.getElementById("google_translate_element2").innerHTML.length||0==teCombo.length||0==teCombo.innerHTML.length?setTimeout((function(){doGTranslate(lang_pair)}),500):(teCombo.value=lang,fire_event(teCombo,"change"),fire_event(teCombo,"change"))}}},window.googleTranslateElementInit2=function(){new google.translate.TranslateElement({pageLanguage:default_language,autoDisplay:!1},"google_translate_element2")},current_lang!=default_language?load_tlib():document.querySelectorAll(u_class).forEach((function(e){e.addEventListener("pointerenter",load_tlib)})),document.querySelectorAll(u_class+" a[data-gt-lang]").forEach((function(e){e.addEventListener("click",(function(evt){evt.preventDefault(),document.querySelectorAll(u_class+" a.gt-current-lang").forEach((function(e){e.classList.remove("gt-current-lang")})),e.classList.add("gt-current-lang"),doGTranslate(default_language+"|"+e.getAttribute("data-gt-lang")),e.parentNode.parentNode.parentNode.querySelector("a.gt_switcher-popup").innerHTML=e.innerHTML+arrow_down,gt_hide_popup()}))}))}if(detect_browser_language&&window.sessionStorage&&window.navigator&&null==sessionStorage.getItem("gt_autoswitch")&&!/bot|spider|slurp|facebook/i.test(navigator.userAgent)){var accept_language=(navigator.language||navigator.userLanguage).toLowerCase();switch(accept_language){case"zh":case"zh-cn":var preferred_language="zh-CN";break;case"zh-tw":case"zh-hk":preferred_language="zh-TW";break;case"he":preferred_language="iw";break;default:preferred_language=accept_language.substr(0,2)}current_lang==default_language&&preferred_language!=default_language&&languages.includes(preferred_language)&&("none"==url_structure?(load_tlib(),window.gt_translate_script.onload=function(){doGTranslate(default_language+"|"+preferred_language);var el=document.querySelector(u_class+' a[data-gt-lang="'+preferred_language+'"]');el.querySelectorAll("img:not([src])").forEach((function(e){e.setAttribute("src",e.getAttribute("data-gt-lazy-src"))})),el.parentNode.parentNode.parentNode.querySelector("a.gt_switcher-popup").innerHTML=el.innerHTML+arrow_down}):document.querySelectorAll(u_class+' a[data-gt-lang="'+preferred_language+'"]').forEach((function(e){location.href=e.href}))),sessionStorage.setItem("gt_autoswitch",1)}}();
\ No newline at end of file
+!function(){var gt=window.gtranslateSettings||{};gt=gt[document.currentScript.getAttribute("data-gt-widget-id")]||gt;var lang_array_english={af:"Afrikaans",sq:"Albanian",am:"Amharic",ar:"Arabic",hy:"Armenian",az:"Azerbaijani",eu:"Basque",be:"Belarusian",bn:"Bengali",bs:"Bosnian",bg:"Bulgarian",ca:"Catalan",ceb:"Cebuano",ny:"Chichewa","zh-CN":"Chinese (Simplified)","zh-TW":"Chinese (Traditional)",co:"Corsican",hr:"Croatian",cs:"Czech",da:"Danish",nl:"Dutch",en:"English",eo:"Esperanto",et:"Estonian",tl:"Filipino",fi:"Finnish",fr:"French",fy:"Frisian",gl:"Galician",ka:"Georgian",de:"German",el:"Greek",gu:"Gujarati",ht:"Haitian Creole",ha:"Hausa",haw:"Hawaiian",iw:"Hebrew",hi:"Hindi",hmn:"Hmong",hu:"Hungarian",is:"Icelandic",ig:"Igbo",id:"Indonesian",ga:"Irish",it:"Italian",ja:"Japanese",jw:"Javanese",kn:"Kannada",kk:"Kazakh",km:"Khmer",ko:"Korean",ku:"Kurdish (Kurmanji)",ky:"Kyrgyz",lo:"Lao",la:"Latin",lv:"Latvian",lt:"Lithuanian",lb:"Luxembourgish",mk:"Macedonian",mg:"Malagasy",ms:"Malay",ml:"Malayalam",mt:"Maltese",mi:"Maori",mr:"Marathi",mn:"Mongolian",my:"Myanmar (Burmese)",ne:"Nepali",no:"Norwegian",ps:"Pashto",fa:"Persian",pl:"Polish",pt:"Portuguese",pa:"Punjabi",ro:"Romanian",ru:"Russian",sm:"Samoan",gd:"Scottish Gaelic",sr:"Serbian",st:"Sesotho",sn:"Shona",sd:"Sindhi",si:"Sinhala",sk:"Slovak",sl:"Slovenian",so:"Somali",es:"Spanish",su:"Sundanese",sw:"Swahili",sv:"Swedish",tg:"Tajik",ta:"Tamil",te:"Telugu",th:"Thai",tr:"Turkish",uk:"Ukrainian",ur:"Urdu",uz:"Uzbek",vi:"Vietnamese",cy:"Welsh",xh:"Xhosa",yi:"Yiddish",yo:"Yoruba",zu:"Zulu"},lang_array_native={af:"Afrikaans",sq:"Shqip",am:"አማርኛ",ar:"العربية",hy:"Հայերեն",az:"Azərbaycan dili",eu:"Euskara",be:"Беларуская мова",bn:"বাংলা",bs:"Bosanski",bg:"Български",ca:"Català",ceb:"Cebuano",ny:"Chichewa","zh-CN":"简体中文","zh-TW":"繁體中文",co:"Corsu",hr:"Hrvatski",cs:"Čeština‎",da:"Dansk",nl:"Nederlands",en:"English",eo:"Esperanto",et:"Eesti",tl:"Filipino",fi:"Suomi",fr:"Français",fy:"Frysk",gl:"Galego",ka:"ქართული",de:"Deutsch",el:"Ελληνικά",gu:"ગુજરાતી",ht:"Kreyol ayisyen",ha:"Harshen Hausa",haw:"Ōlelo Hawaiʻi",iw:"עִבְרִית",hi:"हिन्दी",hmn:"Hmong",hu:"Magyar",is:"Íslenska",ig:"Igbo",id:"Bahasa Indonesia",ga:"Gaeilge",it:"Italiano",ja:"日本語",jw:"Basa Jawa",kn:"ಕನ್ನಡ",kk:"Қазақ тілі",km:"ភាសាខ្មែរ",ko:"한국어",ku:"كوردی‎",ky:"Кыргызча",lo:"ພາສາລາວ",la:"Latin",lv:"Latviešu valoda",lt:"Lietuvių kalba",lb:"Lëtzebuergesch",mk:"Македонски јазик",mg:"Malagasy",ms:"Bahasa Melayu",ml:"മലയാളം",mt:"Maltese",mi:"Te Reo Māori",mr:"मराठी",mn:"Монгол",my:"ဗမာစာ",ne:"नेपाली",no:"Norsk bokmål",ps:"پښتو",fa:"فارسی",pl:"Polski",pt:"Português",pa:"ਪੰਜਾਬੀ",ro:"Română",ru:"Русский",sm:"Samoan",gd:"Gàidhlig",sr:"Српски језик",st:"Sesotho",sn:"Shona",sd:"سنڌي",si:"සිංහල",sk:"Slovenčina",sl:"Slovenščina",so:"Afsoomaali",es:"Español",su:"Basa Sunda",sw:"Kiswahili",sv:"Svenska",tg:"Тоҷикӣ",ta:"தமிழ்",te:"తెలుగు",th:"ไทย",tr:"Türkçe",uk:"Українська",ur:"اردو",uz:"O‘zbekcha",vi:"Tiếng Việt",cy:"Cymraeg",xh:"isiXhosa",yi:"יידיש",yo:"Yorùbá",zu:"Zulu"},default_language=gt.default_language||"auto",languages=gt.languages||Object.keys(lang_array_english).sort((function(x,y){return x==default_language?-1:y==default_language?1:0})),alt_flags=gt.alt_flags||{},flag_size=gt.flag_size||32,flag_style=gt.flag_style||"2d",flags_location=gt.flags_location||"https://cdn.gtranslate.net/flags/",url_structure=gt.url_structure||"none",custom_domains=gt.custom_domains||{},translation_mode=gt.translation_mode||"google",catalogs_location=gt.catalogs_location||"/assets/i18n/",catalog_languages=gt.catalog_languages||[],google_fallback=!1!==gt.google_fallback,self_hosted="none"==url_structure&&"self_hosted"==translation_mode,page_i18n=self_hosted&&window.I18n&&"function"==typeof window.I18n.setLanguage?window.I18n:null;function i18n_handles(lang){return!!page_i18n&&-1!=page_i18n.languages.indexOf(lang)}var horizontal_position=gt.horizontal_position||"inline",vertical_position=gt.vertical_position||null,native_language_names=gt.native_language_names||!1,detect_browser_language=gt.detect_browser_language||!1,wrapper_selector=gt.wrapper_selector||".gtranslate_wrapper",custom_css=gt.custom_css||"",picker_labels=Object.assign({dialog:"Select language",search:"Search languages",empty:"No languages found"},gt.picker_labels),lang_array=native_language_names?lang_array_native:lang_array_english;function has_catalog(lang){return lang==default_language||-1!=catalog_languages.indexOf(lang)||i18n_handles(lang)}var rtl_languages=["ar","fa","ur","iw","he","ps","sd","yi"];self_hosted&&!google_fallback&&(languages=languages.filter(has_catalog));var u_class=".gt_container-"+Array.from("popup"+wrapper_selector).reduce((function(h,c){return 0|31*h+c.charCodeAt(0)}),0).toString(36),widget_code="\x3c!-- GTranslate: https://gtranslate.com --\x3e",widget_css=custom_css;flags_location+=("3d"==flag_style?flag_size:"svg")+"/";var flag_ext="3d"==flag_style?".png":".svg";function get_flag_src(lang){return alt_flags[lang]?"usa"==alt_flags[lang]?flags_location+"en-us"+flag_ext:"canada"==alt_flags[lang]?flags_location+"en-ca"+flag_ext:"brazil"==alt_flags[lang]?flags_location+"pt-br"+flag_ext:"mexico"==alt_flags[lang]?flags_location+"es-mx"+flag_ext:"argentina"==alt_flags[lang]?flags_location+"es-ar"+flag_ext:"colombia"==alt_flags[lang]?flags_location+"es-co"+flag_ext:"quebec"==alt_flags[lang]?flags_location+"fr-qc"+flag_ext:alt_flags[lang]:flags_location+lang+flag_ext}widget_css+="a.glink{text-decoration:none}a.glink.gt-current-lang{font-weight:bold}";var font_size=10,margin_right=3;24==flag_size?(font_size=15,margin_right=5):32==flag_size?(font_size=20,margin_right=7):48==flag_size&&(font_size=24,margin_right=10),widget_css+=u_class+" a.glink span{margin-right:"+margin_right+"px;font-size:"+font_size+"px;vertical-align:middle}",widget_css+="[dir=rtl] "+u_class+" a.glink span{margin-right:0;margin-left:"+margin_right+"px}",widget_css+="a.glink img{vertical-align:middle;display:inline;border:0;padding:0;margin:0;opacity:0.8;height:auto}",widget_css+="a.glink:hover img{opacity:1}";var current_lang=document.querySelector("html").getAttribute("lang")||default_language;if("none"==url_structure){var googtrans_matches=document.cookie.match("(^|;) ?googtrans=([^;]*)(;|$)");current_lang=googtrans_matches&&googtrans_matches[2].split("/")[2]||current_lang}if(page_i18n)current_lang=page_i18n.startLanguage();else if(self_hosted){var gt_lang_matches=document.cookie.match("(^|;) ?gt_lang=([^;]*)(;|$)");current_lang=gt_lang_matches&&decodeURIComponent(gt_lang_matches[2])||current_lang}lang_array[current_lang]||(current_lang=default_language),widget_code+='<a href="#" class="gt_switcher-popup glink nturl notranslate" role="button" aria-haspopup="dialog" aria-expanded="false">';var arrow_down='<span style="color:#666;font-size:8px;font-weight:bold;">&#9660;</span>';widget_code+='<img src="'+get_flag_src(current_lang)+'" height="'+flag_size+'" width="'+flag_size+'" alt="'+current_lang+'" /> <span>'+lang_array[current_lang]+"</span>"+arrow_down+"</a>",widget_code+='<div class="gt_black_overlay"></div>',widget_code+='<div class="gt_white_content notranslate" role="dialog" aria-modal="true" aria-label="'+picker_labels.dialog+'">',widget_code+='<input type="search" class="gt_search" autocomplete="off" spellcheck="false" placeholder="'+picker_labels.search+'" aria-label="'+picker_labels.search+'">',widget_code+='<div class="gt_languages" role="listbox" aria-label="'+picker_labels.dialog+'">',languages.forEach((function(lang){var el_a=document.createElement("a");el_a.href=function(lang){var href="#";if("sub_directory"==url_structure){var gt_request_uri=(document.currentScript.getAttribute("data-gt-orig-url")||location.pathname.startsWith("/"+current_lang+"/")&&"/"+location.pathname.split("/").slice(2).join("/")||location.pathname)+location.search+location.hash;href=lang==default_language&&location.protocol+"//"+location.hostname+gt_request_uri||location.protocol+"//"+location.hostname+"/"+lang+gt_request_uri}else if("sub_domain"==url_structure){gt_request_uri=(document.currentScript.getAttribute("data-gt-orig-url")||location.pathname)+location.search+location.hash;var domain=document.currentScript.getAttribute("data-gt-orig-domain")||location.hostname;href="object"==typeof custom_domains&&custom_domains[lang]?lang==default_language&&location.protocol+"//"+domain+gt_request_uri||location.protocol+"//"+custom_domains[lang]+gt_request_uri:lang==default_language&&location.protocol+"//"+domain+gt_request_uri||location.protocol+"//"+lang+"."+domain.replace(/^www\./,"")+gt_request_uri}return href}(lang),el_a.classList.add("glink","nturl"),current_lang==lang&&el_a.classList.add("gt-current-lang"),el_a.setAttribute("data-gt-lang",lang),el_a.setAttribute("role","option"),el_a.setAttribute("aria-selected",current_lang==lang?"true":"false"),el_a.setAttribute("tabindex","-1");var el_img=document.createElement("img");el_img.height=el_img.width=flag_size,el_img.alt=lang,el_img.setAttribute("data-gt-lazy-src",get_flag_src(lang)),el_a.appendChild(el_img),el_a.innerHTML+=" <span>"+lang_array[lang]+"</span>",widget_code+=el_a.outerHTML})),widget_code+='</div><div class="gt_no_results" role="status"></div></div>';for(var a_height="2d"==flag_style?.75*flag_size+21:flag_size+13,a_width=flag_size+margin_right+8*font_size,popup_height=Math.min(375,languages.length*a_height+12),popup_width=Math.min(980,.8*window.innerWidth),popup_columns=Math.floor(popup_width/a_width),langs_per_col=Math.floor(popup_height/a_height);popup_columns>1&&Math.floor(langs_per_col*popup_columns/languages.length)>1;)popup_width=--popup_columns*a_width+32;widget_css+=".gt_black_overlay{display:none;position:fixed;top:0%;left:0%;width:100%;height:100%;background-color:black;z-index:10000;-moz-opacity:0.8;opacity:.80;filter:alpha(opacity=80)}",widget_css+=".gt_white_content{display:none;position:fixed;top:50%;left:50%;width:"+popup_width+"px;height:"+popup_height+"px;margin:-"+popup_height/2+"px 0 0 -"+popup_width/2+"px;padding:6px 16px;background-color:white;color:black;z-index:19881205;overflow:auto;text-align:left}",widget_css+="[dir=rtl] .gt_white_content{text-align:right;direction:rtl}",widget_css+=".gt_white_content a{display:block;padding:"+("2d"==flag_style?10:6)+"px 0;border-bottom:1px solid #e7e7e7;white-space:nowrap;line-height:0;flex-basis:"+a_height+"px;box-sizing:border-box;}",widget_css+=".gt_white_content .gt_languages{display:flex;flex-flow:column wrap;max-height:"+Math.max(popup_height,a_height*Math.ceil(languages.length/popup_columns))+"px;overflow-x:hidden;}",widget_css+=".gt_white_content .gt_search{display:block;width:100%;box-sizing:border-box;margin:6px 0 8px;padding:6px 8px;border:1px solid #ccc;border-radius:4px;font-size:14px;line-height:normal;color:black;background:white}",widget_css+=".gt_white_content a:focus{outline:2px solid #1a73e8;outline-offset:-2px}",widget_css+=".gt_white_content a.gt_pinned_last{border-bottom:2px solid #888}",widget_css+=".gt_white_content .gt_no_results{display:none;padding:10px 0;color:#666;font-size:14px}",widget_css+=".gt_white_content::-webkit-scrollbar-track{background-color:#F5F5F5}",widget_css+=".gt_white_content::-webkit-scrollbar{width:5px}",widget_css+=".gt_white_content::-webkit-scrollbar-thumb{background-color:#888}","none"==url_structure&&(widget_code+='<div id="google_translate_element2"></div>',widget_css+="div.skiptranslate,#google_translate_element2{display:none!important}",widget_css+="body{top:0!important}",widget_css+="font font{background-color:transparent!important;box-shadow:none!important;position:initial!important}"),"inline"!=horizontal_position&&(widget_code='<div class="gt_switcher_wrapper" style="position:fixed;'+vertical_position+":15px;"+horizontal_position+':15px;z-index:999999;">'+widget_code+"</div>");var add_css=document.createElement("style");add_css.classList.add("gtranslate_css"),add_css.textContent=widget_css,document.head.appendChild(add_css),document.querySelectorAll(wrapper_selector).forEach((function(e){e.classList.add(u_class.substring(1)),e.innerHTML+=widget_code}));var gt_popup_open=!1,gt_popup_opener=null;function search_text(text){return text.toLowerCase().normalize("NFD").replace(/[\u0300-\u036f]/g,"")}function get_recent_languages(){try{return JSON.parse(localStorage.getItem("gt_recent_languages"))||[]}catch(e){return[]}}function show_language(lang){document.querySelectorAll(u_class+" a[data-gt-lang]").forEach((function(e){var current=e.getAttribute("data-gt-lang")==lang;e.classList.toggle("gt-current-lang",current),e.setAttribute("aria-selected",current?"true":"false")}));var el=document.querySelector(u_class+' a[data-gt-lang="'+lang+'"]');el&&(el.querySelectorAll("img:not([src])").forEach((function(e){e.setAttribute("src",e.getAttribute("data-gt-lazy-src"))})),el.parentNode.parentNode.parentNode.querySelector("a.gt_switcher-popup").innerHTML=el.innerHTML+arrow_down)}function visible_options(popup){return Array.from(popup.querySelectorAll(".gt_languages a[data-gt-lang]")).filter((function(e){return"none"!=e.style.display}))}function set_active_option(popup,option,focus){popup.querySelectorAll(".gt_languages a[data-gt-lang]").forEach((function(e){e.setAttribute("tabindex","-1")})),option&&(option.setAttribute("tabindex","0"),focus&&option.focus())}function filter_languages(popup,query){query=search_text(query.trim()),popup.querySelectorAll(".gt_languages a[data-gt-lang]").forEach((function(e){var lang=e.getAttribute("data-gt-lang"),match=!query||[lang,lang_array_english[lang],lang_array_native[lang]].some((function(name){return name&&-1!=search_text(name).indexOf(query)}));e.style.display=match?"":"none"}));var options=visible_options(popup),empty=popup.querySelector(".gt_no_results");empty.textContent=options.length?"":picker_labels.empty,empty.style.display=options.length?"none":"block",set_active_option(popup,options.filter((function(e){return e.classList.contains("gt-current-lang")}))[0]||options[0],!1)}function gt_show_popup(el){var popup=el.parentNode.querySelector(".gt_white_content"),search=popup.querySelector(".gt_search");gt_popup_open=!0,gt_popup_opener=el,el.parentNode.querySelectorAll(".gt_white_content a img:not([src])").forEach((function(img){img.setAttribute("src",img.getAttribute("data-gt-lazy-src"))})),el.parentNode.querySelectorAll(".gt_white_content,.gt_black_overlay").forEach((function(e){e.style.display="block"})),el.setAttribute("aria-expanded","true"),function(popup){var list=popup.querySelector(".gt_languages"),pinned=[default_language].concat(get_recent_languages()).filter((function(lang,i,all){return all.indexOf(lang)==i&&-1!=languages.indexOf(lang)})),option=function(lang){return list.querySelector('a[data-gt-lang="'+lang+'"]')};list.querySelectorAll("a.gt_pinned").forEach((function(e){e.classList.remove("gt_pinned","gt_pinned_last")})),languages.forEach((function(lang){list.appendChild(option(lang))})),pinned.slice().reverse().forEach((function(lang){option(lang).classList.add("gt_pinned"),list.insertBefore(option(lang),list.firstChild)})),pinned.length<languages.length&&option(pinned[pinned.length-1]).classList.add("gt_pinned_last")}(popup),search.value="",filter_languages(popup,""),popup.scrollTop=0,search.focus()}function gt_hide_popup(){gt_popup_open=!1,document.querySelectorAll(".gt_white_content,.gt_black_overlay").forEach((function(e){e.style.display="none"})),document.querySelectorAll(u_class+" a.gt_switcher-popup").forEach((function(e){e.setAttribute("aria-expanded","false")})),gt_popup_opener&&(gt_popup_opener.focus(),gt_popup_opener=null)}function set_direction(lang){var dir=function(lang){return-1!=rtl_languages.indexOf(lang)}(lang)?"rtl":"ltr";if(document.documentElement.getAttribute("dir")!=dir&&("ltr"!=dir||document.documentElement.hasAttribute("dir"))){if(document.documentElement.setAttribute("dir",dir),"left"==horizontal_position||"right"==horizontal_position){var mirrored="left"==horizontal_position?"right":"left";document.querySelectorAll(u_class+" .gt_switcher_wrapper").forEach((function(e){e.style["rtl"==dir?horizontal_position:mirrored]="",e.style["rtl"==dir?mirrored:horizontal_position]="15px"}))}document.dispatchEvent(new CustomEvent("gt:direction",{detail:{lang:lang,dir:dir}}))}}document.querySelectorAll(u_class+" a.gt_switcher-popup").forEach((function(e){e.addEventListener("click",(function(evt){evt.preventDefault(),evt.stopPropagation(),gt_popup_open?gt_hide_popup():gt_show_popup(e)})),e.addEventListener("keydown",(function(evt){" "==evt.key&&(evt.preventDefault(),e.click())})),e.addEventListener("pointerenter",(function(evt){evt.target.parentNode.querySelectorAll(".gt_languages img:not([src])").forEach((function(img){img.setAttribute("src",img.getAttribute("data-gt-lazy-src"))}))}))})),document.querySelectorAll(u_class+" .gt_black_overlay").forEach((function(e){e.addEventListener("click",(function(evt){gt_popup_open&&gt_hide_popup()}))})),document.querySelectorAll(u_class+" .gt_white_content").forEach((function(popup){var search=popup.querySelector(".gt_search");search.addEventListener("input",(function(){filter_languages(popup,search.value)})),popup.addEventListener("keydown",(function(evt){!function(popup,evt){var search=popup.querySelector(".gt_search"),options=visible_options(popup),index=options.indexOf(document.activeElement),rtl="rtl"==document.documentElement.getAttribute("dir"),step={ArrowDown:1,ArrowUp:-1,ArrowRight:rtl?-1:1,ArrowLeft:rtl?1:-1}[evt.key];if("Escape"==evt.key)evt.preventDefault(),gt_hide_popup();else if("Tab"==evt.key){var focusable=[search].concat(options.filter((function(e){return"0"==e.getAttribute("tabindex")}))),at=focusable.indexOf(document.activeElement);evt.preventDefault(),focusable[(at+(evt.shiftKey?-1:1)+focusable.length)%focusable.length].focus()}else!step||-1==index&&"ArrowDown"!=evt.key?-1==index||"Home"!=evt.key&&"End"!=evt.key?-1!=index&&" "==evt.key?(evt.preventDefault(),options[index].click()):-1==index||1!=evt.key.length||evt.ctrlKey||evt.metaKey||evt.altKey||(evt.preventDefault(),search.value+=evt.key,search.focus(),filter_languages(popup,search.value)):(evt.preventDefault(),set_active_option(popup,options["Home"==evt.key?0:options.length-1],!0)):(evt.preventDefault(),index+step<0?search.focus():options.length&&set_active_option(popup,options[Math.min(index+step,options.length-1)],!0))}(popup,evt)})),popup.querySelectorAll("a[data-gt-lang]").forEach((function(e){e.addEventListener("click",(function(){!function(lang){var recent=[lang].concat(get_recent_languages().filter((function(l){return l!=lang}))).slice(0,3);try{localStorage.setItem("gt_recent_languages",JSON.stringify(recent))}catch(e){}}(e.getAttribute("data-gt-lang")),i18n_handles(e.getAttribute("data-gt-lang"))||function(lang){try{localStorage.setItem("gt_chosen_language",lang)}catch(e){}document.cookie="gt_chosen_language="+encodeURIComponent(lang)+";path=/;max-age=31536000"}(e.getAttribute("data-gt-lang")),popup.querySelectorAll("a[data-gt-lang]").forEach((function(option){option.setAttribute("aria-selected",option==e?"true":"false")}))}))}))})),set_direction(current_lang);var translated_attributes=["placeholder","title","alt","aria-label"],catalog_requests={},swapped_text=new WeakMap,swapped_attributes=new WeakMap,active_dictionary=null,gt_observer=null;function normalize_text(text){return text.replace(/\s+/g," ").trim()}function load_catalog(lang){return catalog_requests[lang]||(catalog_requests[lang]=fetch(catalogs_location+lang+".json").then((function(response){if(!response.ok)throw new Error("GTranslate: no catalog for "+lang);return response.json()}))),catalog_requests[lang]}function swap_value(store,owner,name,current,dictionary){var swapped=store.get(owner)||{},entry=swapped[name],original=entry&&entry.translated==current?entry.original:current,translation=dictionary&&dictionary[normalize_text(original)];if(translation){var edges=original.match(/^(\s*)[\s\S]*?(\s*)$/);return swapped[name]={original:original,translated:edges[1]+translation+edges[2]},store.set(owner,swapped),swapped[name].translated}return delete swapped[name],original}function translate_tree(root,dictionary){var skip="script,style,noscript,textarea,.notranslate";if(3!=root.nodeType){if(1==root.nodeType&&!root.closest(skip)){for(var node,walker=document.createTreeWalker(root,NodeFilter.SHOW_TEXT|NodeFilter.SHOW_ELEMENT,{acceptNode:function(node){return 1==node.nodeType?node.matches(skip)?NodeFilter.FILTER_REJECT:NodeFilter.FILTER_SKIP:node.nodeValue.trim()?NodeFilter.FILTER_ACCEPT:NodeFilter.FILTER_SKIP}}),text_nodes=[];node=walker.nextNode();)text_nodes.push(node);text_nodes.forEach((function(text_node){var value=swap_value(swapped_text,text_node,"text",text_node.nodeValue,dictionary);value!=text_node.nodeValue&&(text_node.nodeValue=value)})),[root].concat(Array.from(root.querySelectorAll("["+translated_attributes.join("],[")+"]"))).forEach((function(el){el.closest(skip)||translated_attributes.forEach((function(name){if(el.hasAttribute(name)){var value=swap_value(swapped_attributes,el,name,el.getAttribute(name),dictionary);value!=el.getAttribute(name)&&el.setAttribute(name,value)}}))}))}}else root.parentNode&&root.parentNode.closest(skip)||(root.nodeValue=swap_value(swapped_text,root,"text",root.nodeValue,dictionary))}function apply_catalog(lang){return set_direction(lang),lang==default_language?(active_dictionary=null,translate_tree(document.body,null),document.documentElement.setAttribute("lang",default_language),Promise.resolve()):Promise.all([load_catalog(default_language),load_catalog(lang)]).then((function(catalogs){var source,target,dictionary;source=catalogs[0],target=catalogs[1],dictionary={},Object.keys(target).forEach((function(key){"string"==typeof source[key]&&"string"==typeof target[key]&&(dictionary[normalize_text(source[key])]=target[key])})),active_dictionary=dictionary,translate_tree(document.body,active_dictionary),document.documentElement.setAttribute("lang",lang),gt_observer||(gt_observer=new MutationObserver((function(mutations){active_dictionary&&mutations.forEach((function(mutation){mutation.addedNodes.forEach((function(node){translate_tree(node,active_dictionary)}))}))}))).observe(document.body,{childList:!0,subtree:!0})}))}function gt_switch_language(lang){var google_active=(document.cookie.match("(^|;) ?googtrans=/[^/;]*/([^;]*)(;|$)")||[])[2];if(document.cookie="gt_lang="+encodeURIComponent(lang)+";path=/;max-age=31536000",has_catalog(lang)){if(google_active&&google_active!=default_language)return document.cookie="googtrans=;path=/;expires=Thu, 01 Jan 1970 00:00:00 GMT",document.cookie="googtrans=;path=/;domain="+location.hostname+";expires=Thu, 01 Jan 1970 00:00:00 GMT",void location.reload();apply_catalog(lang).catch((function(error){console.error(error),google_fallback&&gt_switch_to_google(lang)}))}else google_fallback&&gt_switch_to_google(lang)}function gt_switch_to_google(lang){apply_catalog(default_language),load_tlib(),doGTranslate(default_language+"|"+lang)}if("none"==url_structure){function fire_event(element,event){try{if(document.createEventObject){var evt=document.createEventObject();element.fireEvent("on"+event,evt)}else{(evt=document.createEvent("HTMLEvents")).initEvent(event,!0,!0),element.dispatchEvent(evt)}}catch(e){}}function load_tlib(){window.gt_translate_script||(window.gt_translate_script=document.createElement("script"),gt_translate_script.src="https://translate.google.com/translate_a/element.js?cb=googleTranslateElementInit2",document.body.appendChild(gt_translate_script))}window.doGTranslate=function(lang_pair){if(lang_pair.value&&(lang_pair=lang_pair.value),""!=lang_pair){var lang=lang_pair.split("|")[1];if(set_direction(lang),null!=((keyValue=document.cookie.match("(^|;) ?googtrans=([^;]*)(;|$)"))?keyValue[2].split("/")[2]:null)||lang!=lang_pair.split("|")[0]){for(var keyValue,teCombo,sel=document.getElementsByTagName("select"),i=0;i<sel.length;i++)if(-1!=sel[i].className.indexOf("goog-te-combo")){teCombo=sel[i];break}null==document.getElementById("google_translate_element2")||0==document.getElementById("google_translate_element2").innerHTML.length||0==teCombo.length||0==teCombo.innerHTML.length?setTimeout((function(){doGTranslate(lang_pair)}),500):(teCombo.value=lang,fire_event(teCombo,"change"),fire_event(teCombo,"change"))}}},window.googleTranslateElementInit2=function(){new google.translate.TranslateElement({pageLanguage:default_language,autoDisplay:!1},"google_translate_element2")},self_hosted?current_lang==default_language||page_i18n?google_fallback&&languages.some((function(lang){return!has_catalog(lang)}))&&document.querySelectorAll(u_class).forEach((function(e){e.addEventListener("pointerenter",load_tlib)})):gt_switch_language(current_lang):current_lang!=default_language?load_tlib():document.querySelectorAll(u_class).forEach((function(e){e.addEventListener("pointerenter",load_tlib)})),document.querySelectorAll(u_class+" a[data-gt-lang]").forEach((function(e){e.addEventListener("click",(function(evt){if(evt.preventDefault(),i18n_handles(e.getAttribute("data-gt-lang")))return gt_hide_popup(),void page_i18n.setLanguage(e.getAttribute("data-gt-lang"));document.querySelectorAll(u_class+" a.gt-current-lang").forEach((function(e){e.classList.remove("gt-current-lang")})),e.classList.add("gt-current-lang"),self_hosted?gt_switch_language(e.getAttribute("data-gt-lang")):doGTranslate(default_language+"|"+e.getAttribute("data-gt-lang")),e.parentNode.parentNode.parentNode.querySelector("a.gt_switcher-popup").innerHTML=e.innerHTML+arrow_down,gt_hide_popup()}))})),page_i18n&&document.addEventListener("i18n:change",(function(evt){set_direction(evt.detail.language),show_language(evt.detail.language)}))}var google_codes={he:"iw",jv:"jw",nb:"no",nn:"no",fil:"tl"};function match_language(tag){var parts=String(tag).replace(/_/g,"-").toLowerCase().split("-"),base=google_codes[parts[0]]||parts[0],subtags=parts.slice(1),candidates=[parts.join("-")];"zh"==base&&candidates.push(subtags.some((function(p){return-1!=["hant","tw","hk","mo"].indexOf(p)}))?"zh-tw":"zh-cn"),subtags.forEach((function(subtag){candidates.push(base+"-"+subtag)})),candidates.push(base);for(var i=0;i<candidates.length;i++)for(var j=0;j<languages.length;j++)if(languages[j].toLowerCase()==candidates[i])return languages[j];return languages.filter((function(lang){return 0==lang.toLowerCase().indexOf(base+"-")}))[0]||null}function switch_to(lang){if(i18n_handles(lang)){var detected=function(){page_i18n.setLanguage(lang,{chosen:!1})};"loading"==document.readyState?document.addEventListener("DOMContentLoaded",detected):detected()}else self_hosted?(gt_switch_language(lang),show_language(lang)):"none"==url_structure?(load_tlib(),window.gt_translate_script.onload=function(){doGTranslate(default_language+"|"+lang),show_language(lang)}):document.querySelectorAll(u_class+' a[data-gt-lang="'+lang+'"]').forEach((function(e){location.href=e.href}))}var chosen_language=function(){if(page_i18n&&page_i18n.isChosen())return page_i18n.getStored(page_i18n.storageKey,page_i18n.languages);var chosen=null;try{chosen=localStorage.getItem("gt_chosen_language")}catch(e){}if(null===chosen){var chosen_matches=document.cookie.match("(^|;) ?gt_chosen_language=([^;]*)(;|$)");chosen=chosen_matches&&decodeURIComponent(chosen_matches[2])}return chosen}();if(chosen_language&&-1!=languages.indexOf(chosen_language))current_lang==default_language&&chosen_language!=default_language&&switch_to(chosen_language);else if(detect_browser_language&&window.sessionStorage&&window.navigator&&null==sessionStorage.getItem("gt_autoswitch")&&!/bot|spider|slurp|facebook/i.test(navigator.userAgent)){var preferred_language=function(preferred){for(var i=0;i<preferred.length;i++){var lang=match_language(preferred[i]);if(lang)return lang}return null}(navigator.languages&&navigator.languages.length?navigator.languages:[navigator.language||navigator.userLanguage]);current_lang==default_language&&preferred_language&&preferred_language!=default_language&&switch_to(preferred_language),sessionStorage.setItem("gt_autoswitch",1)}}();
\ No newline at end of file
@@ -0,0 +1,112 @@
+/**
+ * Attachments sent with the Contact inquiryForm (field photos, site plans)
+ * Files arrive base64-encoded in the JSON body and are stored under server/data/attachments/<reference>/,
+ * next to the inquiry record that lists them
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { HttpError } = require('./http-utils');
+const store = require('./store');
+
+const ATTACHMENTS_DIR = path.join(store.DATA_DIR, 'attachments');
+
+// Limits mirror the ones shown on the Contact page
+const MAX_FILES = 5;
+const MAX_FILE_BYTES = 5 * 1024 * 1024;
+const MAX_TOTAL_BYTES = 12 * 1024 * 1024;
+
+// Request body limit for endpoints accepting attachments: base64 adds a third, plus the form fields
+const MAX_BODY_BYTES = Math.ceil(MAX_TOTAL_BYTES * 4 / 3) + 64 * 1024;
+
+// Accepted types, checked against the file's leading bytes rather than the name
+const TYPES = {
+    'image/jpeg': { extension: '.jpg', matches: buffer => buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff },
+    'image/png': { extension: '.png', matches: buffer => buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+    'image/webp': { extension: '.webp', matches: buffer => buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP' },
+    'application/pdf': { extension: '.pdf', matches: buffer => buffer.toString('latin1', 0, 5) === '%PDF-' }
+};
+
+function reject(message) {
+    throw new HttpError(400, message, { attachments: message });
+}
+
+/**
+ * Decode and check the attachments of a submission.
+ * Returns [{ name, type, buffer }]; an absent list means no attachments.
+ */
+function decode(list) {
+    if (list === undefined) return [];
+    if (!Array.isArray(list)) reject('The attachments could not be read. Please attach the files again.');
+    if (list.length > MAX_FILES) reject(`Please attach no more than ${MAX_FILES} files.`);
+
+    let total = 0;
+    const files = list.map(item => {
+        const name = item && typeof item.name === 'string' ? item.name.trim().slice(0, 120) : '';
+        const type = item && TYPES[item.type] ? item.type : null;
+
+        if (!name || !type || typeof item.data !== 'string') {
+            reject(`"${name || 'File'}" is not a supported file. Please attach JPG, PNG or WebP images or PDF documents.`);
+        }
+
+        const buffer = Buffer.from(item.data, 'base64');
+        if (!buffer.length || !TYPES[type].matches(buffer)) {
+            reject(`"${name}" does not look like a valid ${type === 'application/pdf' ? 'PDF document' : 'image'}.`);
+        }
+        if (buffer.length > MAX_FILE_BYTES) {
+            reject(`"${name}" is larger than ${MAX_FILE_BYTES / 1024 / 1024} MB.`);
+        }
+
+        total += buffer.length;
+        return { name, type, buffer };
+    });
+
+    if (total > MAX_TOTAL_BYTES) {
+        reject(`Attachments may be ${MAX_TOTAL_BYTES / 1024 / 1024} MB in total.`);
+    }
+    return files;
+}
+
+// Keep stored file names readable but safe on any file system
+function storedName(index, file) {
+    const base = path.parse(file.name).name
+        .normalize('NFKD')
+        .replace(/[^\w-]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 60) || 'attachment';
+    return `${index + 1}-${base}${TYPES[file.type].extension}`;
+}
+
+// Write the files for an inquiry and resolve with the metadata kept on its record
+async function save(reference, files) {
+    const directory = path.join(ATTACHMENTS_DIR, reference);
+    await fs.promises.mkdir(directory, { recursive: true });
+
+    const saved = [];
+    for (const [index, file] of files.entries()) {
+        const fileName = storedName(index, file);
+        await fs.promises.writeFile(path.join(directory, fileName), file.buffer);
+        saved.push({
+            name: file.name,
+            type: file.type,
+            size: file.buffer.length,
+            file: fileName
+        });
+    }
+    return saved;
+}
+
+// Delete every file stored for an inquiry
+function remove(reference) {
+    return fs.promises.rm(path.join(ATTACHMENTS_DIR, reference), { recursive: true, force: true });
+}
+
+module.exports = {
+    ATTACHMENTS_DIR,
+    MAX_BODY_BYTES,
+    decode,
+    save,
+    remove
+};
@@ -0,0 +1,198 @@
+/**
+ * Build pre-rendered copies of every page for each translated language
+ * Writes <lang>/<Page>.html next to the English pages (the folders gt.js links to in sub_directory mode),
+ * with the data-i18n markup translated from assets/i18n/<lang>.json. Every page, the English ones
+ * included, gets <html lang>, a canonical link and hreflang alternates for all language versions.
+ *
+ * Usage: SITE_URL=https://www.example.rs node server/build-languages.js [--languages sr,zh-CN]
+ * Without --languages every catalog except English is built. Neither the <lang>/ folders nor the
+ * link block in the English pages is committed: the build runs on every deployment, as the Vercel
+ * build command in vercel.json. There SITE_URL defaults to the project's production domain.
+ */
+
+'use strict';
+
+const path = require('path');
+const fs = require('fs');
+const pages = require('./pages');
+
+const DEFAULT_LANGUAGE = 'en';
+
+const LINKS_START = '<!-- language versions: generated by server/build-languages.js -->';
+const LINKS_END = '<!-- /language versions -->';
+
+// <span data-i18n-param="area" ...>500 acres</span> inside a data-i18n element. A param may hold
+// params of its own: <strong data-i18n="..." data-i18n-param="site"><span data-i18n-param="temperature" ...>-30°C</span>, Inner Mongolia</strong>
+const PARAM_ELEMENT = /<(\w+)\b[^<>]*\sdata-i18n-param="(\w+)"[^<>]*>(?:[^<]|<(\w+)\b[^<>]*\sdata-i18n-param="\w+"[^<>]*>[^<]*<\/\3>)*<\/\1>/g;
+// <p data-i18n="key">: the opening tag and its content up to the closing tag, text and param elements only
+const I18N_ELEMENT = /(<(\w+)\b[^<>]*\sdata-i18n="([^"]+)"[^<>]*>)((?:[^<]|<(\w+)\b[^<>]*\sdata-i18n-param="\w+"[^<>]*>(?:[^<]|<(\w+)\b[^<>]*\sdata-i18n-param="\w+"[^<>]*>[^<]*<\/\6>)*<\/\5>)*)(?=<\/\2>)/g;
+
+function parseArgs(argv) {
+    const args = {
+        // Vercel sets VERCEL_PROJECT_PRODUCTION_URL (a host name, no scheme) during the build
+        siteUrl: process.env.SITE_URL ||
+            (process.env.VERCEL_PROJECT_PRODUCTION_URL && 'https://' + process.env.VERCEL_PROJECT_PRODUCTION_URL),
+        languages: pages.catalogLanguages().filter(language => language !== DEFAULT_LANGUAGE)
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--languages') {
+            args.languages = String(argv[++i]).split(',').map(language => language.trim()).filter(Boolean);
+        } else if (argv[i] === '--site-url') {
+            args.siteUrl = argv[++i];
+        } else {
+            throw new Error(`Unknown option ${argv[i]}`);
+        }
+    }
+    return args;
+}
+
+function escapeText(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function escapeAttribute(text) {
+    return escapeText(text).replace(/"/g, '&quot;');
+}
+
+function pageUrl(siteUrl, language, fileName) {
+    return siteUrl + '/' + (language === DEFAULT_LANGUAGE ? '' : language + '/') + encodeURI(fileName);
+}
+
+// Canonical and hreflang links for one page, indented like the rest of the wrapper head
+function languageLinks(siteUrl, languages, language, fileName) {
+    const indent = '                  ';
+    const links = [`<link rel="canonical" href="${pageUrl(siteUrl, language, fileName)}">`]
+        .concat([DEFAULT_LANGUAGE].concat(languages).map(alternate =>
+            `<link rel="alternate" hreflang="${alternate}" href="${pageUrl(siteUrl, alternate, fileName)}">`))
+        .concat([`<link rel="alternate" hreflang="x-default" href="${pageUrl(siteUrl, DEFAULT_LANGUAGE, fileName)}">`]);
+
+    return [LINKS_START].concat(links, [LINKS_END]).map(line => indent + line).join('\n') + '\n';
+}
+
+// Set the wrapper's <html lang> and (re)place its block of language links. A translated copy
+// also passes its document title, which the browser tab shows from the wrapper.
+function stampWrapper(before, language, links, title) {
+    const escape = text => text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    const existing = new RegExp('[ \\t]*' + escape(LINKS_START) + '[\\s\\S]*?' + escape(LINKS_END) + '\\n', 'g');
+    const headEnd = before.indexOf('</head>');
+
+    if (headEnd === -1) {
+        throw new Error('Page wrapper has no </head>');
+    }
+
+    let head = before.slice(0, headEnd).replace(existing, '');
+    if (title) {
+        head = head.replace(/<title>[^<]*<\/title>/, `<title>${title}</title>`);
+    }
+    const headIndent = /([ \t]*)$/.exec(head)[1];
+    return (head.replace(/[ \t]*$/, '') + links + headIndent + before.slice(headEnd))
+        .replace(/<html\b[^>]*>/, `<html lang="${language}">`);
+}
+
+/**
+ * Translate the iframe document of a page. Keys missing from the catalog keep their English text;
+ * their names are added to the missing set.
+ */
+function translateContent(content, language, catalog, missing) {
+    const lookup = key => {
+        if (typeof catalog[key] === 'string') return catalog[key];
+        missing.add(key);
+        return null;
+    };
+
+    // <span data-i18n="nav.home">Home</span>: the text up to the closing tag. Param elements are
+    // moved to where the translation says {name}, and translated themselves if they have a key.
+    const translateText = html => html.replace(I18N_ELEMENT, (match, tag, name, key, text) => {
+        const translation = lookup(key);
+        if (translation === null) return match;
+
+        const params = {};
+        text.replace(PARAM_ELEMENT, (element, paramTag, param) => {
+            params[param] = translateText(element);
+        });
+        const edges = /^(\s*)[\s\S]*?(\s*)$/.exec(text);
+        return tag + edges[1] + translation.split(/\{(\w+)\}/).map((part, index) =>
+            index % 2 ? params[part] || `{${part}}` : escapeText(part)).join('') + edges[2];
+    });
+
+    return translateText(content)
+        // data-i18n-attr="placeholder:contact.form.emailPlaceholder, title:..."
+        .replace(/<\w+\b[^<>]*\sdata-i18n-attr="([^"]+)"[^<>]*>/g, (tag, pairs) => {
+            pairs.split(',').forEach(pair => {
+                const [attribute, key] = pair.split(':').map(part => part.trim());
+                const translation = attribute && key ? lookup(key) : null;
+                if (translation === null) return;
+
+                tag = tag.replace(new RegExp(`(\\s${attribute}=")[^"]*(")`), (m, open, close) =>
+                    open + escapeAttribute(translation) + close);
+            });
+            return tag;
+        })
+        // The copy is already in its language; interactive-enhancements.js reads this instead of re-translating
+        .replace(/<html\b([^>]*)>/, (match, attributes) =>
+            '<html' + attributes.replace(/\slang="[^"]*"/, '') + ` lang="${language}" data-prerendered="${language}">`)
+        // Copies sit one folder down, so site-relative assets move up a level, the gt.js flag folder too
+        .replace(/(["'(])(?:\.\/)?(assets|images|js|svg)\//g, '$1../$2/')
+        .replace(/("flags_location":\s*")\.\/"/g, '$1../"');
+}
+
+function buildLanguage(args, language) {
+    const catalog = pages.readCatalog(language);
+    const missing = new Set();
+    const outputDir = path.join(pages.SITE_ROOT, language);
+
+    pages.listPages().forEach(fileName => {
+        const page = pages.readPage(fileName);
+        const links = languageLinks(args.siteUrl, args.languages, language, fileName);
+        const content = translateContent(page.content, language, catalog, missing);
+        // Already escaped by translateContent
+        const title = (/<title\b[^>]*>([^<]*)<\/title>/.exec(content) || [])[1];
+
+        pages.writePage(path.join(outputDir, fileName), {
+            before: stampWrapper(page.before, language, links, title && title.trim()),
+            content,
+            after: page.after
+        });
+    });
+
+    console.log(`${language}/: ${pages.listPages().length} pages` +
+        (missing.size ? `, ${missing.size} string(s) left in English: ${Array.from(missing).join(', ')}` : ''));
+}
+
+// The English pages are edited in place: only the wrapper head changes, the srcdoc is left byte for byte
+function stampEnglishPages(args) {
+    pages.listPages().forEach(fileName => {
+        const file = path.join(pages.SITE_ROOT, fileName);
+        const raw = fs.readFileSync(file, 'utf8');
+        const start = raw.indexOf("srcdoc='");
+        const links = languageLinks(args.siteUrl, args.languages, DEFAULT_LANGUAGE, fileName);
+
+        fs.writeFileSync(file, stampWrapper(raw.slice(0, start), DEFAULT_LANGUAGE, links) + raw.slice(start));
+    });
+    console.log(`Updated language links in ${pages.listPages().length} English pages.`);
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const known = pages.catalogLanguages();
+    const unknown = args.languages.filter(language => !known.includes(language));
+
+    if (!args.siteUrl) {
+        throw new Error('Set SITE_URL (or --site-url), e.g. https://www.example.rs: canonical and hreflang links must be absolute.');
+    }
+    if (unknown.length) {
+        throw new Error('No catalog for: ' + unknown.join(', ') + '. Catalogs: ' + known.join(', '));
+    }
+    args.siteUrl = args.siteUrl.replace(/\/$/, '');
+
+    args.languages.forEach(language => buildLanguage(args, language));
+    stampEnglishPages(args);
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+}
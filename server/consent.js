@@ -0,0 +1,81 @@
+/**
+ * Consent ledger
+ * Every consent given through the site forms is stored with its timestamp, the privacy policy
+ * version shown to the visitor and the form it came from; withdrawals are added as entries too
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const { HttpError } = require('./http-utils');
+const store = require('./store');
+
+const consents = store.collection('consents');
+
+// Privacy policy versions that have been published, oldest first; the last one is current
+const POLICY_VERSIONS = ['2025-01'];
+const CURRENT_POLICY_VERSION = POLICY_VERSIONS[POLICY_VERSIONS.length - 1];
+
+// What each kind of consent covers
+const PURPOSES = {
+    inquiry: 'Processing of the contact details and message to answer the inquiry',
+    newsletter: 'Receiving the AgroTech Solutions newsletter by email'
+};
+
+/**
+ * Read the consent details sent along with a form.
+ * Submissions made without them (API clients) are recorded against the current policy.
+ */
+function readDetails(body) {
+    const details = body.consent && typeof body.consent === 'object' ? body.consent : {};
+    const text = (value, max) => typeof value === 'string' ? value.trim().slice(0, max) : '';
+    const policyVersion = text(details.policyVersion, 20) || CURRENT_POLICY_VERSION;
+
+    if (!POLICY_VERSIONS.includes(policyVersion)) {
+        throw new HttpError(400, 'Our privacy policy has been updated. Please reload the page and try again.', {
+            gdprConsent: 'Please reload the page to see the current privacy policy'
+        });
+    }
+
+    return {
+        policyVersion,
+        form: text(details.form, 80) || 'api',
+        page: text(details.page, 200) || null
+    };
+}
+
+// Add an entry to the ledger
+function record(email, purpose, details, reference) {
+    return consents.insert({
+        id: crypto.randomUUID(),
+        action: 'given',
+        email: email.toLowerCase(),
+        purpose,
+        description: PURPOSES[purpose],
+        policyVersion: details.policyVersion,
+        form: details.form,
+        page: details.page,
+        reference: reference || null,
+        consentedAt: new Date().toISOString()
+    });
+}
+
+// Record that a consent was withdrawn, e.g. by unsubscribing from the newsletter
+function withdraw(email, purpose, form) {
+    return consents.insert({
+        id: crypto.randomUUID(),
+        action: 'withdrawn',
+        email: email.toLowerCase(),
+        purpose,
+        form,
+        withdrawnAt: new Date().toISOString()
+    });
+}
+
+module.exports = {
+    POLICY_VERSIONS,
+    CURRENT_POLICY_VERSION,
+    readDetails,
+    record,
+    withdraw
+};
@@ -0,0 +1,102 @@
+/**
+ * HTTP helpers for the AgroTech Solutions local server
+ * Small wrappers around Node's http module so route handlers stay readable
+ */
+
+'use strict';
+
+const MAX_BODY_BYTES = 64 * 1024;
+
+// Error carrying an HTTP status code and optional per-field details
+class HttpError extends Error {
+    constructor(status, message, fields) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+        this.fields = fields || null;
+        this.headers = null;
+    }
+}
+
+// Send a JSON response, optionally with extra headers
+function sendJson(res, status, payload, headers) {
+    const body = JSON.stringify(payload);
+    res.writeHead(status, Object.assign({
+        'Content-Type': 'application/json; charset=utf-8',
+        'Content-Length': Buffer.byteLength(body),
+        'Cache-Control': 'no-store'
+    }, headers));
+    res.end(body);
+}
+
+// Send an error response, hiding internal details for unexpected failures
+function sendError(res, error) {
+    if (error instanceof HttpError) {
+        const payload = { error: error.message };
+        if (error.fields) {
+            payload.fields = error.fields;
+        }
+        sendJson(res, error.status, payload, error.headers);
+        return;
+    }
+
+    console.error(error);
+    sendJson(res, 500, { error: 'Something went wrong on our side. Please try again later.' });
+}
+
+// Read and parse a JSON request body with a size limit
+function readJsonBody(req, limit = MAX_BODY_BYTES) {
+    return new Promise((resolve, reject) => {
+        const contentType = req.headers['content-type'] || '';
+        if (!contentType.includes('application/json')) {
+            reject(new HttpError(415, 'Requests must be sent as JSON.'));
+            return;
+        }
+
+        const chunks = [];
+        let size = 0;
+
+        const onData = chunk => {
+            size += chunk.length;
+            if (size > limit) {
+                // Drain the rest unread and close the connection once the 413 has been sent,
+                // rather than destroying the socket before the response gets out
+                req.removeListener('data', onData);
+                req.resume();
+                const error = new HttpError(413, 'The request is too large.');
+                error.headers = { Connection: 'close' };
+                reject(error);
+                return;
+            }
+            chunks.push(chunk);
+        };
+        req.on('data', onData);
+
+        req.on('end', () => {
+            if (size > limit) return;
+
+            let body;
+            try {
+                body = JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}');
+            } catch (error) {
+                reject(new HttpError(400, 'The request body is not valid JSON.'));
+                return;
+            }
+            // Handlers read fields straight off the body, so null, arrays and bare values stop here
+            if (!body || typeof body !== 'object' || Array.isArray(body)) {
+                reject(new HttpError(400, 'The request body must be a JSON object.'));
+                return;
+            }
+            resolve(body);
+        });
+
+        req.on('error', reject);
+    });
+}
+
+module.exports = {
+    HttpError,
+    sendJson,
+    sendError,
+    readJsonBody
+};
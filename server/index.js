@@ -0,0 +1,128 @@
+/**
+ * Local server for the AgroTech Solutions website
+ * Serves the static pages and the JSON endpoints behind the site forms
+ *
+ * Usage: node server/index.js   (PORT defaults to 3000)
+ * Emails are not sent; they are written to server/data/mail/ (see mailer.js for the transports)
+ * New inquiries notify AGROTECH_SALES_EMAIL (default sales@agrotech.local); templates live in server/templates/
+ */
+
+'use strict';
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { HttpError, sendError } = require('./http-utils');
+const inquiries = require('./inquiries');
+const newsletter = require('./newsletter');
+const privacy = require('./privacy');
+
+const PORT = Number(process.env.PORT) || 3000;
+const SITE_ROOT = path.resolve(__dirname, '..');
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.webp': 'image/webp',
+    '.ico': 'image/x-icon'
+};
+
+// API routes, matched on method and exact path
+const ROUTES = [
+    { method: 'POST', path: '/api/inquiries', handler: inquiries.createInquiry },
+    { method: 'POST', path: '/api/inquiries/status', handler: inquiries.lookupStatus },
+    { method: 'POST', path: '/api/newsletter', handler: newsletter.subscribe },
+    { method: 'POST', path: '/api/newsletter/confirm', handler: newsletter.confirm },
+    { method: 'POST', path: '/api/newsletter/preferences', handler: newsletter.preferences },
+    { method: 'POST', path: '/api/newsletter/unsubscribe', handler: newsletter.unsubscribe },
+    { method: 'POST', path: '/api/privacy/requests', handler: privacy.createRequest },
+    { method: 'POST', path: '/api/privacy/confirm', handler: privacy.confirmRequest }
+];
+
+function findRoute(method, pathname) {
+    return ROUTES.find(route => route.method === method && route.path === pathname) || null;
+}
+
+function serveStatic(req, res, pathname) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+        throw new HttpError(405, 'Method not allowed.');
+    }
+
+    const relativePath = pathname === '/' ? 'index.html' : pathname.slice(1);
+    const filePath = path.resolve(SITE_ROOT, relativePath);
+
+    // Never serve files outside the site or any of the server internals
+    const insideSite = filePath.startsWith(SITE_ROOT + path.sep);
+    const hidden = relativePath.split('/').some(part => part.startsWith('.')) ||
+        filePath.startsWith(path.join(SITE_ROOT, 'server') + path.sep);
+
+    if (!insideSite || hidden) {
+        throw new HttpError(404, 'Not found.');
+    }
+
+    fs.stat(filePath, (statError, stats) => {
+        if (statError || !stats.isFile()) {
+            sendError(res, new HttpError(404, 'Not found.'));
+            return;
+        }
+
+        res.writeHead(200, {
+            'Content-Type': MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream',
+            'Content-Length': stats.size
+        });
+
+        if (req.method === 'HEAD') {
+            res.end();
+            return;
+        }
+        fs.createReadStream(filePath).pipe(res);
+    });
+}
+
+async function handleRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    let pathname;
+
+    try {
+        pathname = decodeURIComponent(url.pathname);
+    } catch (error) {
+        throw new HttpError(400, 'Malformed URL.');
+    }
+
+    if (pathname.startsWith('/api/')) {
+        const route = findRoute(req.method, pathname);
+        if (!route) {
+            throw new HttpError(404, 'Unknown endpoint.');
+        }
+        await route.handler(req, res, url);
+        return;
+    }
+
+    serveStatic(req, res, pathname);
+}
+
+function createServer() {
+    return http.createServer((req, res) => {
+        handleRequest(req, res).catch(error => {
+            if (!res.headersSent) {
+                sendError(res, error);
+            }
+        });
+    });
+}
+
+if (require.main === module) {
+    createServer().listen(PORT, () => {
+        console.log(`AgroTech Solutions site running at http://localhost:${PORT}/`);
+    });
+}
+
+module.exports = {
+    createServer
+};
@@ -0,0 +1,213 @@
+/**
+ * Inquiry handling for the Contact page inquiryForm
+ * Validates submissions on the server, stores them and hands back a reference ID
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const { HttpError, sendJson, readJsonBody } = require('./http-utils');
+const store = require('./store');
+const spamGuard = require('./spam-guard');
+const consent = require('./consent');
+const attachments = require('./attachments');
+const notifications = require('./notifications');
+
+const inquiries = store.collection('inquiries');
+// Submissions flagged by the content heuristic wait here for a person to review
+const quarantine = store.collection('quarantine');
+
+// Field rules mirror the client-side checks on the Contact page
+const FIELD_RULES = {
+    fullName: { min: 2, max: 120, message: 'Please enter your full name' },
+    email: { max: 254, message: 'Please enter a valid email address' },
+    subject: { min: 3, max: 200, message: 'Please enter a subject' },
+    message: { min: 10, max: 5000, message: 'Please enter your message' }
+};
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Product categories offered in the Get Quote wizard
+const QUOTE_CATEGORIES = ['irrigation', 'solar', 'bird_repellent'];
+
+// Optional site details sent by the Get Quote wizard, all free text
+const QUOTE_FIELDS = {
+    model: 80,
+    location: 200,
+    area: 40,
+    waterSource: 80,
+    gridAccess: 80,
+    notes: 2000
+};
+
+// Site languages the customer acknowledgement is available in
+const LANGUAGES = ['en', 'sr'];
+
+// Workflow states an inquiry moves through, with the labels customers see
+const STATUS_LABELS = {
+    new: 'New',
+    in_review: 'In Review',
+    quoted: 'Quoted',
+    closed: 'Closed'
+};
+
+function validateInquiry(body) {
+    const data = {};
+    const fields = {};
+
+    Object.keys(FIELD_RULES).forEach(name => {
+        const rule = FIELD_RULES[name];
+        const value = typeof body[name] === 'string' ? body[name].trim() : '';
+
+        if (!value ||
+            (rule.min && value.length < rule.min) ||
+            (rule.max && value.length > rule.max) ||
+            (name === 'email' && !EMAIL_REGEX.test(value))) {
+            fields[name] = rule.message;
+        }
+
+        data[name] = value;
+    });
+
+    if (body.gdprConsent !== true) {
+        fields.gdprConsent = 'You must agree to the privacy policy';
+    }
+    data.gdprConsent = body.gdprConsent === true;
+
+    if (body.quote !== undefined) {
+        data.quote = validateQuote(body.quote, fields);
+    }
+
+    if (typeof body.sourcePage === 'string' && body.sourcePage.trim()) {
+        data.sourcePage = body.sourcePage.trim().slice(0, 200);
+    }
+    data.language = LANGUAGES.includes(body.language) ? body.language : 'en';
+
+    if (Object.keys(fields).length) {
+        throw new HttpError(400, 'Please fill in all required fields correctly.', fields);
+    }
+
+    return data;
+}
+
+function validateQuote(quote, fields) {
+    if (!quote || typeof quote !== 'object' || !QUOTE_CATEGORIES.includes(quote.category)) {
+        fields.category = 'Please choose a product category';
+        return null;
+    }
+
+    const data = { category: quote.category };
+
+    Object.keys(QUOTE_FIELDS).forEach(name => {
+        const value = typeof quote[name] === 'string' ? quote[name].trim() : '';
+        if (value.length > QUOTE_FIELDS[name]) {
+            fields[name] = 'This answer is too long';
+        }
+        data[name] = value;
+    });
+
+    if (!data.model) {
+        fields.model = 'Please choose a model';
+    }
+
+    return data;
+}
+
+// Reference IDs look like AGT-20250314-7F3A2C: date of receipt plus a random suffix
+function createReference(date) {
+    const day = date.toISOString().slice(0, 10).replace(/-/g, '');
+    return 'AGT-' + day + '-' + crypto.randomBytes(3).toString('hex').toUpperCase();
+}
+
+async function createInquiry(req, res) {
+    const body = await readJsonBody(req, attachments.MAX_BODY_BYTES);
+    const now = new Date();
+
+    // Bots that filled the honeypot get a believable answer and nothing is stored
+    if (spamGuard.inspect(req, body, 'inquiry').discard) {
+        sendJson(res, 201, {
+            reference: createReference(now),
+            createdAt: now.toISOString()
+        });
+        return;
+    }
+
+    const data = validateInquiry(body);
+    const files = attachments.decode(body.attachments);
+    const consentDetails = consent.readDetails(body);
+    spamGuard.limitEmail('inquiry', data.email);
+
+    const record = Object.assign({
+        reference: createReference(now),
+        status: 'new',
+        createdAt: now.toISOString()
+    }, data);
+
+    const assessment = spamGuard.assessContent([
+        data.subject,
+        data.message,
+        data.quote && data.quote.notes
+    ]);
+
+    // Files live next to the record, which only keeps their names and sizes
+    if (files.length) {
+        record.attachments = await attachments.save(record.reference, files);
+    }
+
+    // Consent goes in first: once the inquiry is stored, nothing may fail the request, since the
+    // offline queue resends on a 5xx and the inquiry would be stored twice
+    await consent.record(data.email, 'inquiry', consentDetails, record.reference);
+    if (assessment.suspicious) {
+        await quarantine.insert(Object.assign({ reasons: assessment.reasons }, record));
+    } else {
+        await inquiries.insert(record);
+    }
+
+    // Quarantined submissions wait for review before anyone is emailed
+    if (!assessment.suspicious) {
+        await notifications.inquiryReceived(record);
+    }
+
+    sendJson(res, 201, {
+        reference: record.reference,
+        createdAt: record.createdAt
+    });
+}
+
+// Status lookup needs both the reference and the email it was sent from
+async function lookupStatus(req, res) {
+    const body = await readJsonBody(req);
+    const reference = typeof body.reference === 'string' ? body.reference.trim().toUpperCase() : '';
+    const email = typeof body.email === 'string' ? body.email.trim().toLowerCase() : '';
+
+    if (!reference || !email) {
+        throw new HttpError(400, 'Please enter your reference number and email address.');
+    }
+
+    const matches = inquiry => inquiry.reference === reference && inquiry.email.toLowerCase() === email;
+    const accepted = inquiries.find(matches);
+    const record = accepted || quarantine.find(matches);
+
+    if (!record) {
+        throw new HttpError(404, 'We could not find an inquiry with that reference number and email address.');
+    }
+
+    // A quarantined inquiry shows as under review, without saying why it was held
+    const status = accepted ? record.status : 'in_review';
+
+    sendJson(res, 200, {
+        reference: record.reference,
+        subject: record.subject,
+        status: status,
+        statusLabel: STATUS_LABELS[status] || STATUS_LABELS.new,
+        createdAt: record.createdAt,
+        updatedAt: record.updatedAt || record.createdAt
+    });
+}
+
+module.exports = {
+    STATUS_LABELS,
+    validateInquiry,
+    createInquiry,
+    lookupStatus
+};
@@ -0,0 +1,128 @@
+/**
+ * Outgoing mail for the local server
+ * Messages are built here and handed to a pluggable transport. The built-in transports are sinks
+ * for development and tests: "file" writes one .eml file per message to the mail directory,
+ * "maildir" delivers into a Maildir (tmp/new/cur) that mail clients can open.
+ *
+ * AGROTECH_MAIL_TRANSPORT picks the transport (default "file"); AGROTECH_MAIL_DIR moves the mail directory.
+ * A real transport is any object with deliver(envelope, raw) returning a promise, passed to setTransport().
+ */
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const store = require('./store');
+
+const MAIL_DIR = process.env.AGROTECH_MAIL_DIR || path.join(store.DATA_DIR, 'mail');
+const FROM = process.env.AGROTECH_MAIL_FROM || 'AgroTech Solutions <no-reply@agrotech.local>';
+
+// Base URL used for links inside emails; never taken from the request Host header
+const SITE_URL = (process.env.SITE_URL || 'http://localhost:' + (Number(process.env.PORT) || 3000)).replace(/\/$/, '');
+
+// Absolute link to a site page, e.g. siteUrl('Privacy Requests.html', { token })
+function siteUrl(page, params) {
+    const url = new URL(SITE_URL + '/' + encodeURI(page));
+    Object.keys(params || {}).forEach(name => url.searchParams.set(name, params[name]));
+    return url.toString();
+}
+
+// RFC 2047 encoding for header values that are not plain ASCII
+function encodeHeader(value) {
+    return /^[\x20-\x7e]*$/.test(value) ?
+        value :
+        '=?UTF-8?B?' + Buffer.from(value, 'utf8').toString('base64') + '?=';
+}
+
+function crlf(text) {
+    return text.replace(/\r?\n/g, '\r\n');
+}
+
+// Build the raw MIME message: plain text, or multipart/alternative when there is an HTML version
+function buildMessage(id, message) {
+    const headers = [
+        'Message-ID: <' + id + '@agrotech.local>',
+        'Date: ' + new Date().toUTCString(),
+        'From: ' + FROM,
+        'To: ' + message.to,
+        'Subject: ' + encodeHeader(message.subject),
+        ...Object.keys(message.headers || {}).map(name => name + ': ' + encodeHeader(message.headers[name])),
+        'MIME-Version: 1.0'
+    ];
+    const textPart = [
+        'Content-Type: text/plain; charset=utf-8',
+        'Content-Transfer-Encoding: 8bit',
+        '',
+        crlf(message.text)
+    ];
+
+    if (!message.html) {
+        return headers.concat(textPart).join('\r\n');
+    }
+
+    const boundary = 'agrotech-' + crypto.randomBytes(8).toString('hex');
+    return headers.concat([
+        `Content-Type: multipart/alternative; boundary="${boundary}"`,
+        '',
+        '--' + boundary,
+        ...textPart,
+        '--' + boundary,
+        'Content-Type: text/html; charset=utf-8',
+        'Content-Transfer-Encoding: 8bit',
+        '',
+        crlf(message.html),
+        '--' + boundary + '--',
+        ''
+    ]).join('\r\n');
+}
+
+const TRANSPORTS = {
+    file: {
+        deliver: async function(envelope, raw) {
+            await fs.promises.mkdir(MAIL_DIR, { recursive: true });
+            await fs.promises.writeFile(path.join(MAIL_DIR, envelope.id + '.eml'), raw);
+        }
+    },
+
+    // Maildir delivery: write to tmp/, then move into new/ so readers never see half a message
+    maildir: {
+        deliver: async function(envelope, raw) {
+            await Promise.all(['tmp', 'new', 'cur'].map(folder =>
+                fs.promises.mkdir(path.join(MAIL_DIR, folder), { recursive: true })));
+
+            const fileName = `${envelope.id}.${process.pid}.${os.hostname()}`;
+            await fs.promises.writeFile(path.join(MAIL_DIR, 'tmp', fileName), raw);
+            await fs.promises.rename(path.join(MAIL_DIR, 'tmp', fileName), path.join(MAIL_DIR, 'new', fileName));
+        }
+    }
+};
+
+let transport = TRANSPORTS[process.env.AGROTECH_MAIL_TRANSPORT || 'file'];
+if (!transport) {
+    throw new Error(`Unknown mail transport "${process.env.AGROTECH_MAIL_TRANSPORT}". Use one of: ${Object.keys(TRANSPORTS).join(', ')}`);
+}
+
+// Replace the transport, e.g. with an SMTP client in production or a recorder in tests
+function setTransport(nextTransport) {
+    transport = nextTransport;
+}
+
+/**
+ * Send a message and resolve with its id.
+ * message: { to, subject, text, html (optional), headers (optional) }
+ */
+async function send(message) {
+    const id = Date.now() + '-' + crypto.randomBytes(4).toString('hex');
+    await transport.deliver({ id, from: FROM, to: message.to }, buildMessage(id, message));
+    return id;
+}
+
+module.exports = {
+    MAIL_DIR,
+    TRANSPORTS,
+    siteUrl,
+    setTransport,
+    send
+};
@@ -0,0 +1,231 @@
+/**
+ * Newsletter subscriptions from the homepage NewsletterSignupSection
+ * Double opt-in: an address is only activated once the emailed confirmation link is opened,
+ * and every message carries links to manage topics or unsubscribe
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const { HttpError, sendJson, readJsonBody } = require('./http-utils');
+const store = require('./store');
+const mailer = require('./mailer');
+const spamGuard = require('./spam-guard');
+const consent = require('./consent');
+
+const subscribers = store.collection('subscribers');
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Topics match the site's product categories, plus case studies
+const TOPICS = {
+    irrigation: 'Irrigation',
+    solar: 'Solar',
+    bird_repellent: 'Bird Repellent',
+    case_studies: 'Case Studies'
+};
+
+const PREFERENCES_PAGE = 'Newsletter Preferences.html';
+
+// Signups without a topic choice get everything
+function readTopics(body) {
+    if (body.topics === undefined) {
+        return Object.keys(TOPICS);
+    }
+
+    const topics = Array.isArray(body.topics) ?
+        Object.keys(TOPICS).filter(topic => body.topics.includes(topic)) :
+        [];
+
+    if (!topics.length) {
+        throw new HttpError(400, 'Please choose at least one topic.', { topics: 'Please choose at least one topic' });
+    }
+    return topics;
+}
+
+// The subscriber's link token works for confirming, managing topics and unsubscribing
+function findByToken(body) {
+    const token = typeof body.token === 'string' ? body.token.trim() : '';
+    const subscriber = token ? subscribers.find(item => item.token === token) : null;
+
+    if (!subscriber) {
+        throw new HttpError(404, 'This newsletter link is not valid. It may belong to a subscription that has been deleted.');
+    }
+    return subscriber;
+}
+
+function publicView(subscriber) {
+    return {
+        email: subscriber.email,
+        status: subscriber.status,
+        topics: subscriber.topics
+    };
+}
+
+function topicList(topics) {
+    return topics.map(topic => TOPICS[topic]).join(', ');
+}
+
+// Send any newsletter message; the manage and unsubscribe links are added to every one
+function sendMessage(subscriber, subject, lines) {
+    const unsubscribeLink = mailer.siteUrl(PREFERENCES_PAGE, { token: subscriber.token, action: 'unsubscribe' });
+
+    return mailer.send({
+        to: subscriber.email,
+        subject,
+        headers: { 'List-Unsubscribe': '<' + unsubscribeLink + '>' },
+        text: lines.concat([
+            '',
+            '--',
+            'AgroTech Solutions, Belgrade, Serbia',
+            'Change your topics: ' + mailer.siteUrl(PREFERENCES_PAGE, { token: subscriber.token }),
+            'Unsubscribe: ' + unsubscribeLink
+        ]).join('\n')
+    });
+}
+
+function sendConfirmation(subscriber) {
+    return sendMessage(subscriber, 'Please confirm your newsletter subscription', [
+        'Hello,',
+        '',
+        'Thank you for signing up for the AgroTech Solutions newsletter.',
+        'Topics: ' + topicList(subscriber.topics),
+        '',
+        'Please confirm your subscription by opening this link:',
+        mailer.siteUrl(PREFERENCES_PAGE, { token: subscriber.token, action: 'confirm' }),
+        '',
+        'If you did not sign up, ignore this email and you will not hear from us again.'
+    ]);
+}
+
+function sendAlreadySubscribed(subscriber) {
+    return sendMessage(subscriber, 'You are already subscribed to our newsletter', [
+        'Hello,',
+        '',
+        'Someone (hopefully you) tried to subscribe this address to the AgroTech Solutions newsletter again.',
+        'You are already subscribed to: ' + topicList(subscriber.topics) + '.',
+        '',
+        'You can change your topics or unsubscribe with the links below.'
+    ]);
+}
+
+async function subscribe(req, res) {
+    const body = await readJsonBody(req);
+    const email = typeof body.email === 'string' ? body.email.trim().toLowerCase() : '';
+
+    if (spamGuard.inspect(req, body, 'newsletter').discard) {
+        sendJson(res, 202, { email, status: 'pending' });
+        return;
+    }
+
+    if (!EMAIL_REGEX.test(email) || email.length > 254) {
+        throw new HttpError(400, 'Please enter a valid email address.', { email: 'Please enter a valid email address' });
+    }
+    const topics = readTopics(body);
+    const consentDetails = consent.readDetails(body);
+    spamGuard.limitEmail('newsletter', email);
+
+    const existing = subscribers.find(subscriber => subscriber.email === email);
+
+    // Topics of an active subscription only change through the emailed links
+    if (existing && existing.status === 'active') {
+        await sendAlreadySubscribed(existing);
+        sendJson(res, 202, { email, status: 'pending' });
+        return;
+    }
+
+    const changes = {
+        status: 'pending',
+        topics,
+        token: crypto.randomBytes(24).toString('base64url'),
+        consent: consentDetails,
+        requestedAt: new Date().toISOString()
+    };
+
+    const subscriber = existing ?
+        await subscribers.update(item => item === existing, changes) :
+        await subscribers.insert(Object.assign({ id: crypto.randomUUID(), email, createdAt: changes.requestedAt }, changes));
+
+    await sendConfirmation(subscriber);
+
+    sendJson(res, 202, { email, status: 'pending' });
+}
+
+// Second step of the double opt-in; consent is recorded once the address is proven
+async function confirm(req, res) {
+    const body = await readJsonBody(req);
+    const subscriber = findByToken(body);
+
+    if (subscriber.status === 'unsubscribed') {
+        throw new HttpError(409, 'This subscription was cancelled. Please sign up again on our homepage.');
+    }
+
+    if (subscriber.status === 'pending') {
+        await subscribers.update(item => item === subscriber, {
+            status: 'active',
+            confirmedAt: new Date().toISOString()
+        });
+        await consent.record(subscriber.email, 'newsletter', subscriber.consent);
+    }
+
+    sendJson(res, 200, publicView(subscriber));
+}
+
+// Read the subscription behind a link, and change its topics when they are sent
+async function preferences(req, res) {
+    const body = await readJsonBody(req);
+    const subscriber = findByToken(body);
+
+    if (body.topics !== undefined) {
+        if (subscriber.status === 'unsubscribed') {
+            throw new HttpError(409, 'This subscription was cancelled. Please sign up again on our homepage.');
+        }
+        await subscribers.update(item => item === subscriber, {
+            topics: readTopics(body),
+            updatedAt: new Date().toISOString()
+        });
+    }
+
+    sendJson(res, 200, publicView(subscriber));
+}
+
+async function unsubscribe(req, res) {
+    const body = await readJsonBody(req);
+    const subscriber = findByToken(body);
+
+    if (subscriber.status !== 'unsubscribed') {
+        const wasActive = subscriber.status === 'active';
+        await subscribers.update(item => item === subscriber, {
+            status: 'unsubscribed',
+            unsubscribedAt: new Date().toISOString()
+        });
+        if (wasActive) {
+            await consent.withdraw(subscriber.email, 'newsletter', 'newsletterPreferences');
+        }
+    }
+
+    sendJson(res, 200, publicView(subscriber));
+}
+
+/**
+ * Send a newsletter issue to every active subscriber who follows at least one of its topics.
+ * Resolves with the number of messages written.
+ */
+async function sendIssue(issue) {
+    const recipients = subscribers.filter(subscriber => subscriber.status === 'active' &&
+        subscriber.topics.some(topic => issue.topics.includes(topic)));
+
+    for (const subscriber of recipients) {
+        await sendMessage(subscriber, issue.subject, issue.text.split('\n'));
+    }
+    return recipients.length;
+}
+
+module.exports = {
+    TOPICS,
+    subscribe,
+    confirm,
+    preferences,
+    unsubscribe,
+    sendIssue
+};
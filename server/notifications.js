@@ -0,0 +1,101 @@
+/**
+ * Email notifications for new inquiries
+ * Sales gets an internal alert with every field and the page the visitor came from;
+ * the customer gets an acknowledgement in the site language they were using
+ */
+
+'use strict';
+
+const path = require('path');
+const mailer = require('./mailer');
+const templates = require('./templates');
+const attachments = require('./attachments');
+
+const SALES_EMAIL = process.env.AGROTECH_SALES_EMAIL || 'sales@agrotech.local';
+
+const LANGUAGE_NAMES = {
+    en: 'English',
+    sr: 'Serbian'
+};
+
+// Locale used for dates in each site language
+const LOCALES = {
+    en: 'en-GB',
+    sr: 'sr-Latn-RS'
+};
+
+const CATEGORY_LABELS = {
+    irrigation: 'Irrigation',
+    solar: 'Solar',
+    bird_repellent: 'Bird Repellent'
+};
+
+function formatSize(bytes) {
+    return bytes < 1024 * 1024 ?
+        Math.max(1, Math.round(bytes / 1024)) + ' KB' :
+        (bytes / 1024 / 1024).toFixed(1) + ' MB';
+}
+
+function formatDate(isoDate, language) {
+    return new Date(isoDate).toLocaleString(LOCALES[language] || LOCALES.en, {
+        dateStyle: 'long',
+        timeStyle: 'short',
+        timeZone: 'Europe/Belgrade'
+    });
+}
+
+// Everything the templates may use, derived from the stored record; dates follow the reader's language
+function templateData(record, readerLanguage) {
+    const language = LANGUAGE_NAMES[record.language] ? record.language : 'en';
+
+    return Object.assign({}, record, {
+        language,
+        languageName: LANGUAGE_NAMES[language],
+        receivedAt: formatDate(record.createdAt, readerLanguage || language),
+        quote: record.quote ? Object.assign({
+            categoryLabel: CATEGORY_LABELS[record.quote.category] || record.quote.category
+        }, record.quote) : null,
+        attachments: (record.attachments || []).map(file => ({
+            name: file.name,
+            size: formatSize(file.size),
+            path: path.join(attachments.ATTACHMENTS_DIR, record.reference, file.file)
+        })),
+        statusLink: mailer.siteUrl('Inquiry Confirmation.html'),
+        siteLink: mailer.siteUrl('index.html')
+    });
+}
+
+// Sales reads English whatever language the customer used
+function sendSalesAlert(record) {
+    const email = templates.render('inquiry-alert', templateData(record, 'en'));
+    return mailer.send(Object.assign({
+        to: SALES_EMAIL,
+        headers: { 'Reply-To': record.email }
+    }, email));
+}
+
+function sendAcknowledgement(record) {
+    const data = templateData(record);
+    const email = templates.render('inquiry-acknowledgement', data, data.language);
+    return mailer.send(Object.assign({ to: record.email }, email));
+}
+
+/**
+ * Send both notifications for a stored inquiry.
+ * A failing email is logged and never fails the submission itself.
+ */
+async function inquiryReceived(record) {
+    const results = await Promise.allSettled([
+        sendSalesAlert(record),
+        sendAcknowledgement(record)
+    ]);
+
+    results.filter(result => result.status === 'rejected').forEach(result => {
+        console.error(`Notification for inquiry ${record.reference} failed:`, result.reason);
+    });
+}
+
+module.exports = {
+    SALES_EMAIL,
+    inquiryReceived
+};
@@ -0,0 +1,89 @@
+/**
+ * Reading and writing the site pages
+ * Every page is a wrapper document whose real content lives in the srcdoc attribute of
+ * #dynamicIframe; these helpers hand that content back as plain HTML and encode it again on write
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const SITE_ROOT = path.resolve(__dirname, '..');
+const I18N_DIR = path.join(SITE_ROOT, 'assets', 'i18n');
+
+const SRCDOC_START = "srcdoc='";
+const SRCDOC_END = "'></iframe>";
+
+// Top-level pages of the site, e.g. ['Bird Repellent Systems.html', ..., 'index.html']
+function listPages() {
+    return fs.readdirSync(SITE_ROOT)
+        .filter(name => name.endsWith('.html'))
+        .sort();
+}
+
+// Only the entities the srcdoc attribute itself introduces are decoded; anything else stays
+// as written and means the same once the iframe parses it
+function decodeSrcdoc(value) {
+    return value
+        .replace(/&apos;/g, "'")
+        .replace(/&quot;/g, '"')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&');
+}
+
+function encodeSrcdoc(html) {
+    return html.replace(/&/g, '&amp;').replace(/'/g, '&apos;');
+}
+
+/**
+ * Read a page into { fileName, before, content, after }: content is the iframe document,
+ * before/after the wrapper around it.
+ */
+function readPage(fileName, root) {
+    const raw = fs.readFileSync(path.join(root || SITE_ROOT, fileName), 'utf8');
+    const start = raw.indexOf(SRCDOC_START);
+    const end = raw.indexOf(SRCDOC_END, start);
+
+    if (start === -1 || end === -1) {
+        throw new Error(`${fileName} has no srcdoc iframe`);
+    }
+
+    return {
+        fileName,
+        before: raw.slice(0, start + SRCDOC_START.length),
+        content: decodeSrcdoc(raw.slice(start + SRCDOC_START.length, end)),
+        after: raw.slice(end)
+    };
+}
+
+function writePage(file, page) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, page.before + encodeSrcdoc(page.content) + page.after);
+}
+
+// Translation catalog for a language, e.g. readCatalog('sr') -> { 'nav.home': 'Početna', ... }
+function readCatalog(language) {
+    return JSON.parse(fs.readFileSync(path.join(I18N_DIR, language + '.json'), 'utf8'));
+}
+
+// Languages with a catalog in assets/i18n/
+function catalogLanguages() {
+    return fs.readdirSync(I18N_DIR)
+        .filter(name => name.endsWith('.json'))
+        .map(name => name.slice(0, -'.json'.length))
+        .sort();
+}
+
+module.exports = {
+    SITE_ROOT,
+    I18N_DIR,
+    listPages,
+    decodeSrcdoc,
+    encodeSrcdoc,
+    readPage,
+    writePage,
+    readCatalog,
+    catalogLanguages
+};
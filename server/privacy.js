@@ -0,0 +1,174 @@
+/**
+ * Data-subject requests from the Privacy Requests page
+ * A visitor asks for an export or deletion of everything stored under their email address;
+ * nothing happens until they confirm with the token emailed to that address
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const { HttpError, sendJson, readJsonBody } = require('./http-utils');
+const store = require('./store');
+const mailer = require('./mailer');
+const spamGuard = require('./spam-guard');
+const attachments = require('./attachments');
+
+const requests = store.collection('privacyRequests');
+
+const REQUEST_TYPES = ['export', 'delete'];
+const TOKEN_TTL_MS = 24 * 60 * 60 * 1000;
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Every collection holding personal data, grouped the way the export presents them
+const PERSONAL_DATA = {
+    inquiries: ['inquiries', 'quarantine'],
+    newsletter: ['subscribers'],
+    consents: ['consents']
+};
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function belongsTo(email) {
+    return record => typeof record.email === 'string' && record.email.toLowerCase() === email;
+}
+
+function collectData(email) {
+    const data = {};
+    Object.keys(PERSONAL_DATA).forEach(group => {
+        data[group] = PERSONAL_DATA[group].reduce((records, name) =>
+            records.concat(store.collection(name).filter(belongsTo(email))), []);
+    });
+    return data;
+}
+
+async function deleteData(email) {
+    const removed = {};
+    for (const group of Object.keys(PERSONAL_DATA)) {
+        removed[group] = 0;
+        for (const name of PERSONAL_DATA[group]) {
+            const collection = store.collection(name);
+            for (const record of collection.filter(belongsTo(email))) {
+                if (record.attachments) {
+                    await attachments.remove(record.reference);
+                }
+            }
+            removed[group] += await collection.remove(belongsTo(email));
+        }
+    }
+    return removed;
+}
+
+function confirmationText(type, link) {
+    const action = type === 'export' ? 'a copy of the personal data' : 'the deletion of all personal data';
+    return [
+        'Hello,',
+        '',
+        `We received a request for ${action} AgroTech Solutions holds under this email address:`,
+        'your inquiries, your newsletter subscription and the consents you gave us.',
+        '',
+        'To confirm the request, open this link within 24 hours:',
+        link,
+        '',
+        'If you did not make this request, you can ignore this email and nothing will change.',
+        '',
+        'AgroTech Solutions',
+        'Belgrade, Serbia'
+    ].join('\n');
+}
+
+async function createRequest(req, res) {
+    const body = await readJsonBody(req);
+    const email = typeof body.email === 'string' ? body.email.trim().toLowerCase() : '';
+    const accepted = {
+        message: 'Please check your inbox. We have sent a confirmation link to the address you entered.'
+    };
+
+    if (spamGuard.inspect(req, body, 'privacy').discard) {
+        sendJson(res, 202, accepted);
+        return;
+    }
+
+    const fields = {};
+    if (!EMAIL_REGEX.test(email) || email.length > 254) {
+        fields.email = 'Please enter a valid email address';
+    }
+    if (!REQUEST_TYPES.includes(body.type)) {
+        fields.type = 'Please choose what you would like us to do';
+    }
+    if (Object.keys(fields).length) {
+        throw new HttpError(400, 'Please fill in all required fields correctly.', fields);
+    }
+    spamGuard.limitEmail('privacy', email);
+
+    const token = crypto.randomBytes(24).toString('base64url');
+    const now = Date.now();
+
+    await requests.insert({
+        id: crypto.randomUUID(),
+        type: body.type,
+        email,
+        tokenHash: hashToken(token),
+        status: 'pending',
+        createdAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + TOKEN_TTL_MS).toISOString()
+    });
+
+    await mailer.send({
+        to: email,
+        subject: body.type === 'export' ? 'Confirm your data export request' : 'Confirm your data deletion request',
+        text: confirmationText(body.type, mailer.siteUrl('Privacy Requests.html', { token }))
+    });
+
+    // Same answer whether or not we hold anything for this address
+    sendJson(res, 202, accepted);
+}
+
+async function confirmRequest(req, res) {
+    const body = await readJsonBody(req);
+    const token = typeof body.token === 'string' ? body.token.trim() : '';
+    const tokenHash = token ? hashToken(token) : null;
+
+    const request = tokenHash && requests.find(item =>
+        item.tokenHash === tokenHash && item.status === 'pending' && Date.parse(item.expiresAt) > Date.now());
+
+    if (!request) {
+        throw new HttpError(400, 'This confirmation link is invalid, has already been used or has expired. Please submit a new request.');
+    }
+
+    const completedAt = new Date().toISOString();
+
+    if (request.type === 'export') {
+        const data = collectData(request.email);
+        await requests.update(item => item.id === request.id, { status: 'completed', completedAt });
+        sendJson(res, 200, {
+            type: 'export',
+            email: request.email,
+            exportedAt: completedAt,
+            data
+        });
+        return;
+    }
+
+    const removed = await deleteData(request.email);
+    // Keep a record that each request was honoured, without the address it was about
+    await requests.update(item => item.id === request.id, { status: 'completed', completedAt });
+    for (const item of requests.filter(belongsTo(request.email))) {
+        await requests.update(other => other.id === item.id, {
+            email: null,
+            status: item.status === 'pending' ? 'cancelled' : item.status
+        });
+    }
+
+    sendJson(res, 200, {
+        type: 'delete',
+        deletedAt: completedAt,
+        removed
+    });
+}
+
+module.exports = {
+    createRequest,
+    confirmRequest
+};
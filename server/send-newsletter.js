@@ -0,0 +1,50 @@
+/**
+ * Send a newsletter issue to active subscribers
+ *
+ * Usage: node server/send-newsletter.js --subject "Spring irrigation tips" --topics irrigation,case_studies issue.txt
+ * Without --topics the issue goes to every active subscriber
+ */
+
+'use strict';
+
+const fs = require('fs');
+const newsletter = require('./newsletter');
+
+function parseArgs(argv) {
+    const args = { topics: Object.keys(newsletter.TOPICS) };
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--subject') {
+            args.subject = argv[++i];
+        } else if (argv[i] === '--topics') {
+            args.topics = String(argv[++i]).split(',').map(topic => topic.trim());
+        } else {
+            args.file = argv[i];
+        }
+    }
+    return args;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const unknown = args.topics.filter(topic => !newsletter.TOPICS[topic]);
+
+    if (!args.subject || !args.file) {
+        throw new Error('Usage: node server/send-newsletter.js --subject "..." [--topics irrigation,solar] issue.txt');
+    }
+    if (unknown.length) {
+        throw new Error('Unknown topics: ' + unknown.join(', ') + '. Known topics: ' + Object.keys(newsletter.TOPICS).join(', '));
+    }
+
+    const sent = await newsletter.sendIssue({
+        subject: args.subject,
+        topics: args.topics,
+        text: fs.readFileSync(args.file, 'utf8').trim()
+    });
+    console.log(`Sent "${args.subject}" to ${sent} subscriber(s).`);
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+});
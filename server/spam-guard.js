@@ -0,0 +1,157 @@
+/**
+ * Spam and abuse protection for the public form endpoints
+ * Honeypot field, minimum fill time, rate limits and a content heuristic - all local, no CAPTCHA service
+ */
+
+'use strict';
+
+const { HttpError } = require('./http-utils');
+
+// Submissions filled in faster than this are treated as automated
+const MIN_FILL_TIME_MS = 3000;
+
+// Sliding-window limits per endpoint kind
+const LIMITS = {
+    inquiry: {
+        ip: { max: 5, windowMs: 10 * 60 * 1000 },
+        email: { max: 3, windowMs: 10 * 60 * 1000 }
+    },
+    newsletter: {
+        ip: { max: 5, windowMs: 10 * 60 * 1000 },
+        email: { max: 3, windowMs: 60 * 60 * 1000 }
+    },
+    privacy: {
+        ip: { max: 5, windowMs: 10 * 60 * 1000 },
+        email: { max: 3, windowMs: 60 * 60 * 1000 }
+    }
+};
+
+// More links than this in one submission looks like link spam
+const MAX_LINKS = 2;
+
+const BLOCKLISTED_PHRASES = [
+    'viagra',
+    'casino',
+    'crypto investment',
+    'bitcoin',
+    'forex signals',
+    'seo services',
+    'backlinks',
+    'guest post',
+    'loan offer',
+    'work from home',
+    'click here'
+];
+
+const LINK_REGEX = /\b(?:https?:\/\/|www\.)\S+/gi;
+
+// Expired rate-limit keys are swept out at most this often
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// key -> { windowMs, times } of recent attempts
+const attempts = new Map();
+let lastSweep = 0;
+
+function clientIp(req) {
+    if (process.env.TRUST_PROXY && req.headers['x-forwarded-for']) {
+        return req.headers['x-forwarded-for'].split(',')[0].trim();
+    }
+    return req.socket.remoteAddress || 'unknown';
+}
+
+// Forget keys whose latest attempt has left its window, so the map does not grow without bound
+function sweep(now) {
+    if (now - lastSweep < SWEEP_INTERVAL_MS) return;
+
+    lastSweep = now;
+    attempts.forEach((entry, key) => {
+        if (now - entry.times[entry.times.length - 1] >= entry.windowMs) {
+            attempts.delete(key);
+        }
+    });
+}
+
+// Record an attempt and throw 429 once the window is full
+function hit(key, limit) {
+    const now = Date.now();
+    sweep(now);
+
+    const entry = attempts.get(key);
+    const recent = (entry ? entry.times : []).filter(time => now - time < limit.windowMs);
+
+    if (recent.length >= limit.max) {
+        attempts.set(key, { windowMs: limit.windowMs, times: recent });
+        const retryAfter = Math.ceil((limit.windowMs - (now - recent[0])) / 1000);
+        const error = new HttpError(429, 'Too many submissions. Please wait a few minutes and try again.');
+        error.headers = { 'Retry-After': String(retryAfter) };
+        throw error;
+    }
+
+    recent.push(now);
+    attempts.set(key, { windowMs: limit.windowMs, times: recent });
+}
+
+/**
+ * Checks that run before validation: rate limit per IP, honeypot and fill time.
+ * Returns { discard: true } for submissions that should be silently dropped.
+ */
+function inspect(req, body, kind) {
+    hit(kind + ':ip:' + clientIp(req), LIMITS[kind].ip);
+
+    const antiSpam = body.antiSpam;
+
+    // Every site form sends these; a request without them was not made by one
+    if (!antiSpam || typeof antiSpam !== 'object' ||
+        typeof antiSpam.elapsedMs !== 'number' || !Number.isFinite(antiSpam.elapsedMs)) {
+        throw new HttpError(400, 'Your submission could not be verified. Please reload the page and send the form again.');
+    }
+
+    // Only bots fill in the hidden field; pretend everything went fine
+    if (typeof antiSpam.honeypot === 'string' && antiSpam.honeypot.trim() !== '') {
+        return { discard: true };
+    }
+
+    if (antiSpam.elapsedMs < MIN_FILL_TIME_MS) {
+        throw new HttpError(400, 'That was quick! Please take a moment to review your details and send the form again.');
+    }
+
+    return { discard: false };
+}
+
+// Rate limit per email address, applied once the address has been validated
+function limitEmail(kind, email) {
+    hit(kind + ':email:' + email.toLowerCase(), LIMITS[kind].email);
+}
+
+/**
+ * Content heuristic for free-text fields.
+ * Suspicious submissions go to quarantine for a person to review instead of being rejected.
+ */
+function assessContent(texts) {
+    const text = texts.filter(Boolean).join('\n');
+    const lowerText = text.toLowerCase();
+    const reasons = [];
+
+    const links = (text.match(LINK_REGEX) || []).length;
+    if (links > MAX_LINKS) {
+        reasons.push(`contains ${links} links`);
+    }
+
+    BLOCKLISTED_PHRASES.forEach(phrase => {
+        if (lowerText.includes(phrase)) {
+            reasons.push(`contains blocklisted phrase "${phrase}"`);
+        }
+    });
+
+    return {
+        suspicious: reasons.length > 0,
+        reasons
+    };
+}
+
+module.exports = {
+    MIN_FILL_TIME_MS,
+    inspect,
+    limitEmail,
+    assessContent
+};
@@ -0,0 +1,97 @@
+/**
+ * JSON file store for the AgroTech Solutions local server
+ * Each collection is kept in its own file under server/data/
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const DATA_DIR = process.env.AGROTECH_DATA_DIR || path.join(__dirname, 'data');
+
+const collections = new Map();
+
+function createCollection(name) {
+    const file = path.join(DATA_DIR, name + '.json');
+    let records = null;
+    // Writes are chained so concurrent requests never interleave on disk
+    let pending = Promise.resolve();
+
+    function load() {
+        if (records) return records;
+
+        try {
+            records = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            records = [];
+        }
+        return records;
+    }
+
+    function persist() {
+        const snapshot = JSON.stringify(records, null, 2);
+        const write = pending.then(async () => {
+            await fs.promises.mkdir(DATA_DIR, { recursive: true });
+            const tmpFile = file + '.' + process.pid + '.tmp';
+            await fs.promises.writeFile(tmpFile, snapshot);
+            await fs.promises.rename(tmpFile, file);
+        });
+        // A failed write is reported to its caller only; the next write still runs
+        pending = write.catch(() => {});
+        return write;
+    }
+
+    return {
+        all: function() {
+            return load().slice();
+        },
+
+        find: function(predicate) {
+            return load().find(predicate) || null;
+        },
+
+        filter: function(predicate) {
+            return load().filter(predicate);
+        },
+
+        insert: async function(record) {
+            load().push(record);
+            await persist();
+            return record;
+        },
+
+        update: async function(predicate, changes) {
+            const record = load().find(predicate);
+            if (!record) return null;
+
+            Object.assign(record, changes);
+            await persist();
+            return record;
+        },
+
+        remove: async function(predicate) {
+            const before = load().length;
+            records = load().filter(record => !predicate(record));
+            const removed = before - records.length;
+            if (removed) {
+                await persist();
+            }
+            return removed;
+        }
+    };
+}
+
+// Get (or lazily create) a named collection
+function collection(name) {
+    if (!collections.has(name)) {
+        collections.set(name, createCollection(name));
+    }
+    return collections.get(name);
+}
+
+module.exports = {
+    DATA_DIR,
+    collection
+};
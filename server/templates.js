@@ -0,0 +1,115 @@
+/**
+ * Email templates for the local server
+ * Each template is a pair of files in server/templates/: <name>[.<lang>].txt and <name>[.<lang>].html.
+ * The first line of the text template is "Subject: ..."; the rest is the plain-text body.
+ *
+ * Placeholders (a small Mustache subset):
+ *   {{name}}              value, HTML-escaped in .html templates; dotted paths such as {{quote.model}} work
+ *   {{{name}}}            value, never escaped
+ *   {{#name}}...{{/name}} repeated for each item of a list, or rendered once when the value is truthy
+ *   {{^name}}...{{/name}} rendered when the value is empty or falsy
+ *   {{.}}                 the current list item
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const TEMPLATES_DIR = path.join(__dirname, 'templates');
+
+const cache = new Map();
+
+const HTML_ESCAPES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+};
+
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+// Look a name up through the context stack, innermost first
+function lookup(stack, name) {
+    if (name === '.') return stack[stack.length - 1];
+
+    for (let i = stack.length - 1; i >= 0; i--) {
+        const context = stack[i];
+        const parts = name.split('.');
+        if (context === null || typeof context !== 'object' || !(parts[0] in context)) continue;
+
+        return parts.reduce((value, part) => value === null || value === undefined ? undefined : value[part], context);
+    }
+    return undefined;
+}
+
+function isEmpty(value) {
+    return !value || (Array.isArray(value) && !value.length);
+}
+
+// Sections and tags are matched in one pass, so text filled in from a value is never scanned again
+const TAGS = /\{\{([#^])\s*([\w.]+)\s*\}\}([\s\S]*?)\{\{\/\s*\2\s*\}\}|\{\{\{\s*([\w.]+)\s*\}\}\}|\{\{\s*([\w.]+)\s*\}\}/g;
+
+function renderString(template, stack, escape) {
+    return template.replace(TAGS, (match, kind, name, inner, rawName, escapedName) => {
+        if (!kind) {
+            const value = lookup(stack, rawName || escapedName);
+            if (value === undefined || value === null) return '';
+            return rawName ? String(value) : escape(value);
+        }
+
+        const value = lookup(stack, name);
+
+        if (kind === '^') {
+            return isEmpty(value) ? renderString(inner, stack, escape) : '';
+        }
+        if (isEmpty(value)) return '';
+        if (Array.isArray(value)) {
+            return value.map(item => renderString(inner, stack.concat([item]), escape)).join('');
+        }
+        return renderString(inner, typeof value === 'object' ? stack.concat([value]) : stack, escape);
+    });
+}
+
+// Read a template file, preferring the language-specific version
+function load(name, language, extension) {
+    const candidates = language ? [`${name}.${language}${extension}`, name + extension] : [name + extension];
+
+    for (const fileName of candidates) {
+        if (!cache.has(fileName)) {
+            const file = path.join(TEMPLATES_DIR, fileName);
+            cache.set(fileName, fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null);
+        }
+        if (cache.get(fileName) !== null) return cache.get(fileName);
+    }
+    throw new Error(`Email template "${name}" not found`);
+}
+
+/**
+ * Render a template pair into { subject, text, html }.
+ * language picks e.g. inquiry-acknowledgement.sr.txt over inquiry-acknowledgement.txt when it exists.
+ */
+function render(name, data, language) {
+    const text = renderString(load(name, language, '.txt'), [data], String);
+    const html = renderString(load(name, language, '.html'), [data], escapeHtml);
+    const subjectMatch = /^Subject:[ \t]*(.*)\r?\n/.exec(text);
+
+    if (!subjectMatch) {
+        throw new Error(`Email template "${name}" must start with a "Subject:" line`);
+    }
+
+    return {
+        subject: subjectMatch[1].trim(),
+        text: text.slice(subjectMatch[0].length).replace(/^\s*\n/, '').replace(/\n{3,}/g, '\n\n').trim() + '\n',
+        html
+    };
+}
+
+module.exports = {
+    TEMPLATES_DIR,
+    escapeHtml,
+    render
+};
@@ -0,0 +1,282 @@
+/**
+ * Translation coverage report for the site pages
+ * Pulls the user-visible text out of every page's iframe document and compares it with the
+ * catalogs in assets/i18n/. Text counts as translated when a data-i18n (or data-i18n-attr) key
+ * covers it and the language's catalog has that key. Per page and language it reports:
+ *   missing   keys used on the page that the catalog lacks
+ *   outdated  keys whose English catalog text no longer matches the page, so translations made
+ *             from it are stale
+ * and per language the unused keys: in the catalog but on no page and in no script.
+ *
+ * Usage: node server/translation-coverage.js [--languages sr,zh-CN] [--min-coverage 95] [--page Contact.html] [--verbose]
+ * Exits non-zero when a language's coverage over all pages is below --min-coverage (percent, default
+ * 100: every page string has a key and a translation; lower it while a new language is in progress).
+ * --verbose also lists the text that has no key at all.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const pages = require('./pages');
+
+const SOURCE_LANGUAGE = 'en';
+
+const VOID_ELEMENTS = ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr'];
+// Elements whose content is never shown as page text; the <title> in <head> is, in the browser tab
+const HIDDEN_ELEMENTS = ['head', 'svg'];
+const SHOWN_IN_HEAD = ['title'];
+const TRANSLATED_ATTRIBUTES = ['placeholder', 'title', 'alt', 'aria-label'];
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', copy: '©', reg: '®', trade: '™', hellip: '…', mdash: '—', ndash: '–', rarr: '→', larr: '←', times: '×', deg: '°' };
+
+function parseArgs(argv) {
+    const args = {
+        languages: pages.catalogLanguages().filter(language => language !== SOURCE_LANGUAGE),
+        minCoverage: 100,
+        page: null,
+        verbose: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--languages') {
+            args.languages = String(argv[++i]).split(',').map(language => language.trim()).filter(Boolean);
+        } else if (argv[i] === '--min-coverage') {
+            args.minCoverage = Number(argv[++i]);
+        } else if (argv[i] === '--page') {
+            args.page = argv[++i];
+        } else if (argv[i] === '--verbose') {
+            args.verbose = true;
+        } else {
+            throw new Error(`Unknown option ${argv[i]}`);
+        }
+    }
+    return args;
+}
+
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, name) => {
+        if (name[0] === '#') {
+            return String.fromCodePoint(name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10));
+        }
+        return ENTITIES[name] !== undefined ? ENTITIES[name] : match;
+    });
+}
+
+function normalize(text) {
+    return decodeEntities(text).replace(/\s+/g, ' ').trim();
+}
+
+// Only text with letters needs translating; numbers, symbols and icons do not
+function isVisibleText(text) {
+    return /\p{L}/u.test(text);
+}
+
+function parseAttributes(source) {
+    const attributes = {};
+    const pattern = /([^\s=/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+    let match;
+
+    while ((match = pattern.exec(source))) {
+        const name = match[1].toLowerCase();
+        const value = match[2] !== undefined ? match[2] : match[3] !== undefined ? match[3] : match[4];
+        // As in the browser, the first of a repeated attribute counts
+        if (!(name in attributes)) {
+            attributes[name] = value === undefined ? '' : decodeEntities(value);
+        }
+    }
+    return attributes;
+}
+
+// data-i18n-attr="placeholder:contact.form.emailPlaceholder, title:..." -> { placeholder: 'contact.form...' }
+function attributeKeys(value) {
+    const keys = {};
+    (value || '').split(',').forEach(pair => {
+        const [attribute, key] = pair.split(':').map(part => part.trim());
+        if (attribute && key) keys[attribute] = key;
+    });
+    return keys;
+}
+
+/**
+ * User-visible strings of an iframe document: [{ text, key }], key being null for text no
+ * data-i18n markup covers. An element with data-i18n yields one string, its whole text with
+ * {name} for each data-i18n-param element in it.
+ * Scripts, styles, comments, translate="no"/.notranslate, data-format values (rendered by
+ * LocaleFormat) and quantities and unit labels (rendered by Units) are left out.
+ */
+function extractStrings(html) {
+    const strings = [];
+    const stack = [{ name: '#document', hidden: false, entry: null }];
+    const pattern = /<!--[\s\S]*?-->|<(script|style|template|noscript)\b[^>]*>[\s\S]*?<\/\1\s*>|<(\/?)([a-zA-Z][\w-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>|[^<]+|</g;
+    let match;
+
+    while ((match = pattern.exec(html))) {
+        const parent = stack[stack.length - 1];
+
+        if (match[3] && match[2]) {
+            const name = match[3].toLowerCase();
+            const at = stack.map(element => element.name).lastIndexOf(name);
+            if (at > 0) {
+                stack.splice(at).forEach(element => {
+                    if (element.entry && isVisibleText(element.entry.text)) {
+                        element.entry.text = element.entry.text.replace(/\s+/g, ' ').trim();
+                        strings.push(element.entry);
+                    }
+                });
+            }
+        } else if (match[3]) {
+            const name = match[3].toLowerCase();
+            const attributes = parseAttributes(match[4]);
+            const hidden = (parent.hidden && !(parent.name === 'head' && SHOWN_IN_HEAD.includes(name))) ||
+                HIDDEN_ELEMENTS.includes(name) ||
+                attributes.translate === 'no' ||
+                /(^|\s)notranslate(\s|$)/.test(attributes.class || '') ||
+                attributes['data-format'] !== undefined ||
+                attributes['data-quantity'] !== undefined ||
+                attributes['data-unit-label'] !== undefined;
+
+            if (!hidden) {
+                const keys = attributeKeys(attributes['data-i18n-attr']);
+                TRANSLATED_ATTRIBUTES.forEach(attribute => {
+                    const text = normalize(attributes[attribute] || '');
+                    if (isVisibleText(text)) {
+                        strings.push({ text, key: keys[attribute] || null, attribute });
+                    }
+                });
+            }
+
+            // A data-i18n-param element stands in its owner's string as {name}; its own text is
+            // a string of its own, keyed or not
+            const param = attributes['data-i18n-param'];
+            const owner = param ? stack.slice().reverse().find(element => element.entry) : null;
+            if (owner) {
+                owner.entry.text += `{${param}}`;
+            }
+
+            const element = {
+                name,
+                hidden,
+                entry: !hidden && (attributes['data-i18n'] || owner) ? { text: '', key: attributes['data-i18n'] || null } : null
+            };
+            if (!VOID_ELEMENTS.includes(name) && !/\/\s*$/.test(match[4])) {
+                stack.push(element);
+            }
+        } else if (match[0][0] !== '<' || match[0] === '<') {
+            // Text; comments, scripts and styles fall through
+            if (parent.hidden) continue;
+
+            // Text inside a data-i18n element belongs to that element's string
+            const owner = stack.slice().reverse().find(element => element.entry);
+            if (owner) {
+                owner.entry.text += decodeEntities(match[0]);
+            } else {
+                const text = normalize(match[0]);
+                if (isVisibleText(text)) strings.push({ text, key: null });
+            }
+        }
+    }
+    return strings;
+}
+
+// Keys scripts translate themselves, e.g. I18n.t('format.convertedFrom', ...), or put in the
+// markup they insert, e.g. data-i18n="units.metric"
+function scriptKeys(sources) {
+    const keys = new Set();
+    sources.forEach(source => {
+        const pattern = /\bt\(\s*['"]([\w.-]+)['"]|data-i18n="([\w.-]+)"|data-i18n-attr="[\w-]+:([\w.-]+)"/g;
+        let match;
+        while ((match = pattern.exec(source))) keys.add(match[1] || match[2] || match[3]);
+    });
+    return keys;
+}
+
+function percent(part, whole) {
+    return whole ? Math.floor(part / whole * 1000) / 10 : 100;
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const known = pages.catalogLanguages();
+    const unknown = args.languages.filter(language => !known.includes(language));
+
+    if (unknown.length) {
+        throw new Error('No catalog for: ' + unknown.join(', ') + '. Catalogs: ' + known.join(', '));
+    }
+    if (!(args.minCoverage >= 0 && args.minCoverage <= 100)) {
+        throw new Error('--min-coverage is a percentage between 0 and 100');
+    }
+
+    const fileNames = pages.listPages();
+    if (args.page && !fileNames.includes(args.page)) {
+        throw new Error(`No page ${args.page}`);
+    }
+
+    const source = pages.readCatalog(SOURCE_LANGUAGE);
+    const catalogs = {};
+    args.languages.forEach(language => { catalogs[language] = pages.readCatalog(language); });
+
+    const contents = fileNames.map(fileName => pages.readPage(fileName).content);
+    const used = scriptKeys(contents.concat(fs.readFileSync(path.join(pages.SITE_ROOT, 'assets', 'interactive-enhancements.js'), 'utf8')));
+    const totals = {};
+    args.languages.forEach(language => { totals[language] = { translated: 0, strings: 0 }; });
+
+    fileNames.forEach((fileName, index) => {
+        const strings = extractStrings(contents[index]);
+        strings.forEach(string => { if (string.key) used.add(string.key); });
+
+        if (args.page && fileName !== args.page) return;
+
+        // English text in the markup that no longer matches the catalog it was translated from
+        const outdated = new Set(strings
+            .filter(string => string.key && !string.attribute && typeof source[string.key] === 'string' &&
+                normalize(source[string.key]) !== string.text)
+            .map(string => string.key));
+        const untranslated = strings.filter(string => !string.key);
+
+        console.log(`${fileName}: ${strings.length} string(s), ${untranslated.length} without a key`);
+        args.languages.forEach(language => {
+            const catalog = catalogs[language];
+            const translated = strings.filter(string => string.key && typeof catalog[string.key] === 'string');
+            const missing = new Set(strings
+                .filter(string => string.key && typeof catalog[string.key] !== 'string')
+                .map(string => string.key));
+
+            totals[language].translated += translated.length;
+            totals[language].strings += strings.length;
+
+            console.log(`  ${language.padEnd(6)} ${String(percent(translated.length, strings.length)).padStart(5)}%` +
+                `  missing ${missing.size}, outdated ${outdated.size}`);
+            missing.forEach(key => console.log(`    missing   ${key}`));
+            outdated.forEach(key => console.log(`    outdated  ${key}`));
+        });
+
+        if (args.verbose) {
+            untranslated.forEach(string => console.log(`    no key    ${string.attribute ? string.attribute + ': ' : ''}"${string.text}"`));
+        }
+    });
+
+    console.log('');
+    let failed = false;
+    args.languages.forEach(language => {
+        const coverage = percent(totals[language].translated, totals[language].strings);
+        const unused = Object.keys(catalogs[language]).filter(key => !used.has(key));
+
+        console.log(`${language}: ${coverage}% of ${totals[language].strings} string(s) translated, ${unused.length} unused key(s)`);
+        unused.forEach(key => console.log(`    unused    ${key}`));
+
+        if (coverage < args.minCoverage) {
+            console.log(`    below the minimum of ${args.minCoverage}%`);
+            failed = true;
+        }
+    });
+
+    if (failed) process.exitCode = 1;
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+}